@@ -0,0 +1,12 @@
+import 'dotenv/config';
+
+// Currencies sold through Shopify Markets; prices in the base (shop) currency are stored as `price`
+const parseCurrencies = (value) =>
+  String(value).split(',').map(currency => currency.trim().toUpperCase()).filter(Boolean);
+
+const currencyConfig = {
+  baseCurrency: (process.env.BASE_CURRENCY || 'INR').toUpperCase(),
+  presentmentCurrencies: parseCurrencies(process.env.PRESENTMENT_CURRENCIES || 'INR,USD,GBP')
+};
+
+export default currencyConfig;
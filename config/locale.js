@@ -0,0 +1,12 @@
+import 'dotenv/config';
+
+// Storefront languages: content is stored in DEFAULT_LOCALE and translated into STOREFRONT_LOCALES
+const parseLocales = (value) =>
+  String(value).split(',').map(locale => locale.trim().toLowerCase()).filter(Boolean);
+
+const localeConfig = {
+  defaultLocale: (process.env.DEFAULT_LOCALE || 'en').toLowerCase(),
+  locales: parseLocales(process.env.STOREFRONT_LOCALES || 'hi,ar')
+};
+
+export default localeConfig;
@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import categoryService from '../services/categoryService.js';
+
+const EDITABLE_FIELDS = ['name', 'handle', 'parent', 'position', 'match', 'isActive'];
+
+// Picks editable fields from a request body
+const parseCategoryBody = (body = {}) => {
+  const category = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) category[field] = body[field];
+  });
+  if (category.parent === '') category.parent = null;
+  return category;
+};
+
+// Error message when the parent is unknown or would put the category inside itself, null when valid
+const checkParent = async (categoryId, parentId) => {
+  if (!parentId) return null;
+  if (!mongoose.Types.ObjectId.isValid(parentId)) return 'Parent category not found';
+
+  let current = await Category.findById(parentId, { parent: 1 }).lean();
+  if (!current) return 'Parent category not found';
+  while (current) {
+    if (categoryId && current._id.equals(categoryId)) {
+      return 'A category cannot be moved under itself or its subcategories';
+    }
+    current = current.parent ? await Category.findById(current.parent, { parent: 1 }).lean() : null;
+  }
+  return null;
+};
+
+// Products follow the new tree in the background (async, don't wait)
+const reassignProducts = () => {
+  categoryService.invalidateCategories();
+  categoryService.assignProductCategories()
+    .then(changed => console.log(`Category tree changed, ${changed} products reassigned`))
+    .catch(err => console.error('Error reassigning product categories:', err));
+};
+
+// Tree nodes as returned to clients
+const toTreeNode = ({ handle, name, children }) => ({
+  handle,
+  name,
+  children: children.map(toTreeNode)
+});
+
+/**
+ * List categories, inactive ones included
+ */
+async function getCategories(req, res) {
+  try {
+    const categories = await Category.find({}).sort({ parent: 1, position: 1, name: 1 }).lean();
+
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+}
+
+/**
+ * Active categories as a nested tree for navigation
+ */
+async function getCategoryTree(req, res) {
+  try {
+    const { roots } = await categoryService.loadCategories();
+
+    res.json({
+      success: true,
+      tree: roots.map(toTreeNode)
+    });
+  } catch (error) {
+    console.error('Error fetching category tree:', error);
+    res.status(500).json({ error: 'Failed to fetch category tree' });
+  }
+}
+
+/**
+ * Get a category by id
+ */
+async function getCategory(req, res) {
+  try {
+    const category = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Category.findById(req.params.id).lean()
+      : null;
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({ error: 'Failed to fetch category' });
+  }
+}
+
+/**
+ * Create a category
+ */
+async function createCategory(req, res) {
+  try {
+    const body = parseCategoryBody(req.body);
+    const parentError = await checkParent(null, body.parent);
+    if (parentError) {
+      return res.status(400).json({ error: 'Invalid category', message: parentError });
+    }
+
+    const category = await Category.create(body);
+
+    reassignProducts();
+
+    res.status(201).json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: 'Invalid category', message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Invalid category', message: 'Category handle already exists' });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+}
+
+/**
+ * Update a category by id
+ * Saved through the document so the handle and parent checks run again
+ */
+async function updateCategory(req, res) {
+  try {
+    const category = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Category.findById(req.params.id)
+      : null;
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const body = parseCategoryBody(req.body);
+    const parentError = await checkParent(category._id, body.parent);
+    if (parentError) {
+      return res.status(400).json({ error: 'Invalid category', message: parentError });
+    }
+
+    category.set(body);
+    await category.save();
+
+    reassignProducts();
+
+    res.json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: 'Invalid category', message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Invalid category', message: 'Category handle already exists' });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+}
+
+/**
+ * Delete a category by id
+ * Categories with subcategories have to be emptied or moved first
+ */
+async function deleteCategory(req, res) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (await Category.exists({ parent: req.params.id })) {
+      return res.status(400).json({ error: 'Category has subcategories' });
+    }
+
+    const category = await Category.findByIdAndDelete(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    reassignProducts();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+}
+
+export default {
+  getCategories,
+  getCategoryTree,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
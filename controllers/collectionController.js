@@ -0,0 +1,204 @@
+import smartCollectionService from '../services/smartCollectionService.js';
+import collectionService from '../services/collectionService.js';
+import AdvancedCache from '../utils/AdvancedCache.js';
+import { RELATIONS, RULE_COLUMNS } from '../utils/collectionRules.js';
+import { resolveCurrency, getSupportedCurrencies } from '../utils/currency.js';
+import { resolveLocale, getSupportedLocales } from '../utils/locale.js';
+
+// Collection listings and details, 5 minutes like the live product counts behind them
+const collectionCache = new AdvancedCache({
+  maxSize: 500,
+  timeout: 5 * 60 * 1000, // 5 minutes
+  cleanupInterval: 5 * 60 * 1000 // 5 minutes
+});
+
+const MAX_LIMIT = 100;
+const COLLECTION_SORTS = ['productCount', 'title'];
+
+// 400 response for an unsupported `locale` parameter
+const invalidLocaleResponse = (res, locale) => res.status(400).json({
+  success: false,
+  error: 'Invalid locale',
+  message: `Unsupported locale: ${locale}. Supported locales: ${getSupportedLocales().join(', ')}`
+});
+
+/**
+ * List collections with their live available-product counts
+ * Empty collections are left out unless `includeEmpty=true`
+ */
+async function getCollections(req, res) {
+  try {
+    const {
+      search, includeEmpty, sort = 'productCount', order, page = 1, limit = 20, locale: requestedLocale, bypassCache = false
+    } = req.query;
+
+    if (!COLLECTION_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sort',
+        message: `Unsupported sort: ${sort}. Available: ${COLLECTION_SORTS.join(', ')}`
+      });
+    }
+    const locale = resolveLocale(requestedLocale);
+    if (!locale) return invalidLocaleResponse(res, requestedLocale);
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+    const direction = order === 'asc' ? 1 : order === 'desc' ? -1 : undefined;
+
+    const cacheKey = `collections:${JSON.stringify([search, includeEmpty === 'true', sort, direction, pageNum, limitNum, locale])}`;
+    const cachedResult = collectionCache.get(cacheKey);
+    if (!bypassCache && cachedResult && collectionCache.isValid(cacheKey)) {
+      return res.json(cachedResult);
+    }
+
+    const { collections, total } = await collectionService.listCollections({
+      search,
+      includeEmpty: includeEmpty === 'true',
+      sort,
+      order: direction,
+      page: pageNum,
+      limit: limitNum,
+      locale
+    });
+
+    const response = {
+      success: true,
+      data: {
+        collections,
+        locale,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          pages: Math.ceil(total / limitNum),
+          hasNextPage: pageNum * limitNum < total
+        }
+      }
+    };
+
+    if (!bypassCache) {
+      collectionCache.set(cacheKey, response);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collections',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get a collection by handle with its live product count, price range and top facets
+ */
+async function getCollection(req, res) {
+  try {
+    const { handle } = req.params;
+    const { currency, locale: requestedLocale, bypassCache = false } = req.query;
+
+    const currencyOptions = resolveCurrency(currency);
+    if (!currencyOptions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `Unsupported currency: ${currency}. Supported currencies: ${getSupportedCurrencies().join(', ')}`
+      });
+    }
+    const locale = resolveLocale(requestedLocale);
+    if (!locale) return invalidLocaleResponse(res, requestedLocale);
+
+    const cacheKey = `collection:${handle.toLowerCase()}:${currencyOptions.currency}:${locale}`;
+    const cachedResult = collectionCache.get(cacheKey);
+    if (!bypassCache && cachedResult && collectionCache.isValid(cacheKey)) {
+      return res.json(cachedResult);
+    }
+
+    const collection = await collectionService.getCollectionDetail(handle, {
+      priceField: currencyOptions.priceField,
+      locale
+    });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+        message: `No collection matches "${handle}"`
+      });
+    }
+
+    const response = {
+      success: true,
+      data: {
+        collection: {
+          ...collection,
+          priceRange: { ...collection.priceRange, currency: currencyOptions.currency }
+        },
+        locale
+      }
+    };
+
+    if (!bypassCache) {
+      collectionCache.set(cacheKey, response);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collection',
+      message: error.message
+    });
+  }
+}
+
+// Rules proposed in a dry run must look like Shopify rules
+const isRuleList = (rules) => Array.isArray(rules) && rules.every(rule =>
+  rule && typeof rule === 'object' && rule.column && rule.relation
+);
+
+/**
+ * Dry run of a smart collection's rules
+ * Body may carry proposed { rules, disjunctive }; the stored rules are used otherwise.
+ * Nothing is written.
+ */
+async function previewRules(req, res) {
+  try {
+    const { rules, disjunctive } = req.body || {};
+    if (rules !== undefined && !isRuleList(rules)) {
+      return res.status(400).json({
+        error: 'Invalid rules',
+        message: 'rules must be an array of { column, relation, condition }'
+      });
+    }
+
+    const preview = await smartCollectionService.previewCollection(req.params.handle, { rules, disjunctive });
+    if (!preview) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    if (!preview.evaluable) {
+      return res.status(400).json({
+        error: 'Rules cannot be evaluated locally',
+        message: `Supported columns: ${Object.keys(RULE_COLUMNS).join(', ')}. Relations: ${RELATIONS.join(', ')}`,
+        rules: preview.rules
+      });
+    }
+
+    res.json({
+      success: true,
+      preview
+    });
+  } catch (error) {
+    console.error('Error previewing collection rules:', error);
+    res.status(500).json({ error: 'Failed to preview collection rules' });
+  }
+}
+
+export default {
+  getCollections,
+  getCollection,
+  previewRules
+};
@@ -2,6 +2,13 @@ import Product from '../models/Product.js';
 import { queryPatternTracker } from '../models/Product.js';
 import AdvancedCache from '../utils/AdvancedCache.js';
 import { buildSharedQuery } from './productController.js';
+import { FilterExpressionError } from '../utils/filterExpression.js';
+import { VARIANT_FACETS, createVariantFacetPipeline, getVariantOptionMatch } from '../utils/facets.js';
+import { MAX_PRICE_BUCKETS, parsePriceBucketParams, getNicePriceBoundaries } from '../utils/priceBuckets.js';
+import { resolveCurrency, getSupportedCurrencies } from '../utils/currency.js';
+import { resolveLocale, getSupportedLocales, isDefaultLocale } from '../utils/locale.js';
+import translationService from '../services/translationService.js';
+import categoryService from '../services/categoryService.js';
 
 /**
  * Cache Configuration
@@ -136,6 +143,55 @@ const createFacetPipeline = (field, isAttribute = false) => {
   ];
 };
 
+// Discount facet thresholds in percent; a product counts in every bucket it reaches
+const DISCOUNT_BUCKETS = [10, 30, 50];
+
+/**
+ * Price histogram over the filtered products, price filter excluded
+ * Fixed boundaries leave an open-ended last bucket (`max: null`) for higher prices;
+ * automatic ones span the price range. Empty buckets are kept so the histogram has no gaps.
+ */
+const getPriceHistogram = async (query, priceField, { boundaries: fixedBoundaries, count }, priceStats, applied) => {
+  if (!fixedBoundaries && !priceStats.count) return [];
+
+  // Boundaries are validated by parsePriceBucketParams; only the query itself may fail
+  const boundaries = fixedBoundaries ||
+    getNicePriceBoundaries(priceStats.minPrice || 0, priceStats.maxPrice || 0, count);
+  const openEnded = Boolean(fixedBoundaries);
+
+  try {
+    const results = await Product.aggregate([
+      { $match: { ...query, [priceField]: { $type: 'number' } } },
+      {
+        $bucket: {
+          groupBy: `$${priceField}`,
+          boundaries,
+          // Only reachable above the last fixed boundary
+          default: 'above',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ]).option({ maxTimeMS: 15000 });
+    const counts = new Map(results.map(({ _id, count: bucketCount }) => [_id, bucketCount]));
+
+    const buckets = boundaries.slice(0, -1).map((min, i) => ({ min, max: boundaries[i + 1], count: counts.get(min) || 0 }));
+    if (openEnded) {
+      buckets.push({ min: boundaries[boundaries.length - 1], max: null, count: counts.get('above') || 0 });
+    }
+
+    const appliedMin = parseFloat(applied.minPrice) || 0;
+    const appliedMax = parseFloat(applied.maxPrice) || Infinity;
+    const hasPriceFilter = Boolean(applied.minPrice || applied.maxPrice);
+    return buckets.map(bucket => ({
+      ...bucket,
+      selected: hasPriceFilter && bucket.min >= appliedMin && (bucket.max ?? Infinity) <= appliedMax
+    }));
+  } catch (error) {
+    console.error('Error getting price histogram:', error);
+    return [];
+  }
+};
+
 const createSimpleFacetPipeline = (field) => [
   { $match: { [field]: { $ne: null, $exists: true } } },
   { $group: { _id: `$${field}`, count: { $sum: 1 } } },
@@ -144,7 +200,7 @@ const createSimpleFacetPipeline = (field) => [
 
 // Utility functions
 
-const getCollectionPriceRange = async (query, collectionName = null) => {
+const getCollectionPriceRange = async (query, collectionName = null, priceField = 'price') => {
   try {
     let matchQuery = { ...query };
     // If specific collection is provided, add it to the query
@@ -163,13 +219,14 @@ const getCollectionPriceRange = async (query, collectionName = null) => {
     //     }
     //   }
     // ]);
+     // Bounds follow the other filters; callers leave the price filter out so the slider keeps its range
      const data = await Product.aggregate([
-      { $match: matchQuery.collection_handle ? { collection_handle: matchQuery.collection_handle, isAvailable: true } : {} },
+      { $match: matchQuery },
       {
         $group: {
           _id: null,
-          minPrice: { $min: '$price' },
-          maxPrice: { $max: '$price' },
+          minPrice: { $min: `$${priceField}` },
+          maxPrice: { $max: `$${priceField}` },
           count: { $sum: 1 }
         }
       }
@@ -204,15 +261,46 @@ const getBrandsWithSelection = async (baseQuery, selectedBrands) => {
   }
 };
 
+const getDiscountBuckets = async (query, appliedMinDiscount) => {
+  try {
+    const counts = Object.fromEntries(DISCOUNT_BUCKETS.map(threshold => [
+      `min${threshold}`,
+      { $sum: { $cond: [{ $gte: ['$maxDiscount', threshold] }, 1, 0] } }
+    ]));
+
+    const [result = {}] = await Product.aggregate([
+      { $match: query },
+      { $group: { _id: null, ...counts } }
+    ]).option({ maxTimeMS: 15000 });
+
+    return DISCOUNT_BUCKETS.map(threshold => ({
+      value: threshold,
+      label: `${threshold}%+`,
+      count: result[`min${threshold}`] || 0,
+      selected: parseFloat(appliedMinDiscount) === threshold
+    }));
+  } catch (error) {
+    console.error('Error getting discount buckets:', error);
+    return [];
+  }
+};
+
+// Display labels in the shopper's locale, falling back to the stored value
+const withLabels = (items, labels) => items.map(item => ({
+  ...item,
+  label: labels?.get(String(item.value).toLowerCase()) || item.value
+}));
+
 // Build response data
-const buildResponseData = (result, filterParams, currentResultCount, brandsWithSelection, priceStats) => ({
+const buildResponseData = (result, filterParams, currentResultCount, brandsWithSelection, priceStats, currency, labels = {}) => ({
   success: true,
   data: {
     currentResultCount,
     appliedFilters: filterParams,
-    categories: processResults(result.categories || []),
-    collections: processResults(result.collections || []),
-    collection_handle: processResults(result.collection_handle || []),
+    categories: withLabels(processResults(result.categories || []), labels.productTypes),
+    categoryTree: result.categoryTree || [],
+    collections: withLabels(processResults(result.collections || []), labels.collections),
+    collection_handle: withLabels(processResults(result.collection_handle || []), labels.collections),
     tags: filterParams.tags ? filterParams.tags.split(',').map(tag => ({
       value: tag.trim(),
       count: currentResultCount
@@ -226,14 +314,17 @@ const buildResponseData = (result, filterParams, currentResultCount, brandsWithS
       fabrics: processResults(result.fabrics || []),
       works: processResults(result.works || [])
     },
+    discounts: result.discounts || [],
     productGroups: processResults(result.productGroups || []),
-    productTypes: processResults(result.productTypes || []),
+    productTypes: withLabels(processResults(result.productTypes || []), labels.productTypes),
     brands: brandsWithSelection || [],
     priceRange: {
       min: Math.floor(priceStats.minPrice || 0),
       max: Math.ceil(priceStats.maxPrice || 1000),
       appliedMin: Math.floor(filterParams.minPrice || 0),
-      appliedMax: Math.ceil(filterParams.maxPrice || 1000)
+      appliedMax: Math.ceil(filterParams.maxPrice || 1000),
+      currency,
+      histogram: result.priceHistogram || []
     }
   }
 });
@@ -253,6 +344,37 @@ const getProductFilters = async (req, res) => {
       filterParams.brand = filterParams['vendors?q']; // Assign value to 'brand'
       delete filterParams['vendors?q'];          // Remove original key
     }
+
+    // Price range and price filters in the shopper's currency
+    const currencyOptions = resolveCurrency(filterParams.currency);
+    if (!currencyOptions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `Unsupported currency: ${filterParams.currency}. Supported currencies: ${getSupportedCurrencies().join(', ')}`
+      });
+    }
+    if (filterParams.currency) filterParams.currency = currencyOptions.currency;
+
+    // Facet labels and search matching in the shopper's locale
+    const locale = resolveLocale(filterParams.locale);
+    if (!locale) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid locale',
+        message: `Unsupported locale: ${filterParams.locale}. Supported locales: ${getSupportedLocales().join(', ')}`
+      });
+    }
+    if (filterParams.locale) filterParams.locale = locale;
+
+    const priceBucketOptions = parsePriceBucketParams(filterParams);
+    if (!priceBucketOptions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid price buckets',
+        message: `priceBuckets must be ascending non-negative boundaries (fewer than ${MAX_PRICE_BUCKETS}, at least one above 0), e.g. 0,1000,2000,5000; priceBucketCount must be 1-${MAX_PRICE_BUCKETS}`
+      });
+    }
       const cacheFilters = {
       ...filterParams
     };
@@ -323,6 +445,16 @@ const getProductFilters = async (req, res) => {
     const buildFacetQuery = async (exclude) => {
       const query = { ...currentQuery };
       delete query[attributeMap[exclude]];
+
+      // Drop only this option from the variant match so the other one still applies
+      if (VARIANT_FACETS.includes(exclude) && query.variants?.$elemMatch) {
+        const { [`attributes.${exclude}`]: _excluded, ...elemMatch } = query.variants.$elemMatch;
+        if (Object.keys(elemMatch).some(path => path.startsWith('attributes.'))) {
+          query.variants = { $elemMatch: elemMatch };
+        } else {
+          delete query.variants;
+        }
+      }
       if (exclude === 'gender' && filterParams.collections) {
         try {
           const genders = await getAvailableGendersForCollection(filterParams.collections);
@@ -335,6 +467,13 @@ const getProductFilters = async (req, res) => {
     };
 
     const buildFacet = async (query, field, isMulti = true) => {
+      if (VARIANT_FACETS.includes(field)) {
+        // Count sizes in stock in the selected color and vice versa
+        return Product.aggregate([
+          { $match: query },
+          ...createVariantFacetPipeline(field, getVariantOptionMatch(query))
+        ]);
+      }
       const pipeline = isMulti ? createFacetPipeline(field, true) : createSimpleFacetPipeline(field);
       return Product.aggregate([{ $match: query }, ...pipeline]);
     };
@@ -354,7 +493,31 @@ const getProductFilters = async (req, res) => {
         
       ]);
 
-      const priceStats = await getCollectionPriceRange(currentQuery, filterParams.collection_handle);
+      // Price range and histogram ignore the applied price filter
+      const { [currencyOptions.priceField]: _appliedPrice, ...priceQuery } = currentQuery;
+      const priceStats = await getCollectionPriceRange(
+        priceQuery,
+        filterParams.collection_handle,
+        currencyOptions.priceField
+      );
+      const priceHistogram = await getPriceHistogram(
+        priceQuery,
+        currencyOptions.priceField,
+        priceBucketOptions,
+        priceStats,
+        filterParams
+      );
+
+      // Discount buckets ignore the applied discount filter so every bucket stays selectable
+      const { maxDiscount: _appliedDiscount, ...discountQuery } = currentQuery;
+      const discounts = await getDiscountBuckets(discountQuery, filterParams.minDiscount);
+
+      // Category tree counts ignore the applied category so sibling categories stay selectable
+      const { categoryHandles: _appliedCategories, categories: _appliedFlatCategories, ...categoryQuery } = currentQuery;
+      const selectedCategories = filterParams.category
+        ? (await categoryService.resolveCategoryHandles(filterParams.category)) || []
+        : [];
+      const categoryTree = await categoryService.getCategoryFacet(categoryQuery, selectedCategories);
 
       const [
         colors, sizes, materials, seasons, genders, fabrics,
@@ -366,7 +529,7 @@ const getProductFilters = async (req, res) => {
       return {
         brands, priceStats, filterResults: {
           categories, collections, colors, sizes, materials, seasons,
-          genders, fabrics, works, productGroups, productTypes
+          genders, fabrics, works, productGroups, productTypes, discounts, categoryTree, priceHistogram
         }
       };
     };
@@ -376,6 +539,12 @@ const getProductFilters = async (req, res) => {
     // Get current result count and filter options
     const currentResultCount = await Product.countDocuments(currentQuery);
     const { brands, priceStats, filterResults } = await getCommonFacets();
+    const labels = isDefaultLocale(locale)
+      ? {}
+      : await translationService.getFacetLabels(locale).catch(error => {
+        console.error('Error loading facet labels:', error);
+        return {};
+      });
 
  
 
@@ -384,7 +553,9 @@ const getProductFilters = async (req, res) => {
       filterParams,
       currentResultCount,
       brands,
-      priceStats
+      priceStats,
+      currencyOptions.currency,
+      labels
     );
 
     // Store in cache only if not bypassing
@@ -394,6 +565,14 @@ const getProductFilters = async (req, res) => {
     return res.json(response);
 
   } catch (error) {
+    if (error instanceof FilterExpressionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filter expression',
+        message: error.message,
+        position: error.position
+      });
+    }
     console.error('Error fetching product filters:', error);
     res.status(500).json({
       success: false,
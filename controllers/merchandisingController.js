@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import MerchandisingRule from '../models/MerchandisingRule.js';
+import merchandisingService from '../services/merchandisingService.js';
+import { normalizeSearchTerm } from '../services/searchTermService.js';
+
+const EDITABLE_FIELDS = [
+  'name', 'collectionHandle', 'searchTerm', 'pins', 'boosts', 'buries',
+  'startsAt', 'endsAt', 'isActive', 'priority'
+];
+
+// Picks editable fields from a request body; search terms are matched normalized
+const parseRuleBody = (body = {}) => {
+  const rule = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) rule[field] = body[field];
+  });
+  if (rule.searchTerm) rule.searchTerm = normalizeSearchTerm(rule.searchTerm);
+  return rule;
+};
+
+/**
+ * List merchandising rules
+ */
+async function getRules(req, res) {
+  try {
+    const { collectionHandle, searchTerm, active } = req.query;
+    const filter = {};
+    if (collectionHandle) filter.collectionHandle = collectionHandle.toLowerCase();
+    if (searchTerm) filter.searchTerm = normalizeSearchTerm(searchTerm);
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    const rules = await MerchandisingRule.find(filter).sort({ priority: -1, createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Error fetching merchandising rules:', error);
+    res.status(500).json({ error: 'Failed to fetch merchandising rules' });
+  }
+}
+
+/**
+ * Get a merchandising rule by id
+ */
+async function getRule(req, res) {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await MerchandisingRule.findById(req.params.id).lean()
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Merchandising rule not found' });
+    }
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    console.error('Error fetching merchandising rule:', error);
+    res.status(500).json({ error: 'Failed to fetch merchandising rule' });
+  }
+}
+
+/**
+ * Create a merchandising rule
+ */
+async function createRule(req, res) {
+  try {
+    const rule = await MerchandisingRule.create(parseRuleBody(req.body));
+
+    merchandisingService.invalidateRules();
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: 'Invalid merchandising rule', message: error.message });
+    }
+    console.error('Error creating merchandising rule:', error);
+    res.status(500).json({ error: 'Failed to create merchandising rule' });
+  }
+}
+
+/**
+ * Update a merchandising rule by id
+ * Saved through the document so the collection/search term checks run again
+ */
+async function updateRule(req, res) {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await MerchandisingRule.findById(req.params.id)
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Merchandising rule not found' });
+    }
+
+    rule.set(parseRuleBody(req.body));
+    await rule.save();
+
+    merchandisingService.invalidateRules();
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: 'Invalid merchandising rule', message: error.message });
+    }
+    console.error('Error updating merchandising rule:', error);
+    res.status(500).json({ error: 'Failed to update merchandising rule' });
+  }
+}
+
+/**
+ * Delete a merchandising rule by id
+ */
+async function deleteRule(req, res) {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await MerchandisingRule.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Merchandising rule not found' });
+    }
+
+    merchandisingService.invalidateRules();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting merchandising rule:', error);
+    res.status(500).json({ error: 'Failed to delete merchandising rule' });
+  }
+}
+
+export default {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -3,6 +3,23 @@ import vectorService from '../services/vectorService.js';
 import { queryPatternTracker } from '../models/Product.js';
 import AdvancedCache from '../utils/AdvancedCache.js';
 import Order from '../models/Order.js';
+import { encodeCursor, decodeCursor, buildKeysetMatch } from '../utils/pagination.js';
+import { SORTABLE_FIELDS, parseSortParam } from '../utils/sorting.js';
+import searchService from '../services/searchService.js';
+import suggestionService from '../services/suggestionService.js';
+import searchTermService from '../services/searchTermService.js';
+import productDetailService from '../services/productDetailService.js';
+import merchandisingService from '../services/merchandisingService.js';
+import searchRuleService from '../services/searchRuleService.js';
+import collectionOrderService from '../services/collectionOrderService.js';
+import categoryService from '../services/categoryService.js';
+import searchAnalyticsService from '../services/searchAnalyticsService.js';
+import { FilterExpressionError, parseFilterExpression } from '../utils/filterExpression.js';
+import { FIELD_PRESETS, parseFieldsParam } from '../utils/projection.js';
+import { resolveCurrency, getSupportedCurrencies } from '../utils/currency.js';
+import {
+  resolveLocale, getSupportedLocales, getTranslationPath, localizeProduct
+} from '../utils/locale.js';
 
 /**
  * Cache Configuration for Products
@@ -32,34 +49,53 @@ const createCaseInsensitivePatterns = (values) => {
 };
 
 
-const createCaseInsensitivePatternsCollentions = (field, values) => {
-  if (!values) return [];
+// Variant options that filter on in-stock variants instead of product attributes
+const VARIANT_OPTION_FIELDS = ['color', 'size'];
 
-  if (typeof values === 'string') {
-    values = values.split(',').map(v => v.trim());
-  }
+/**
+ * Match products with at least one in-stock variant carrying the requested options
+ * @param {Object} options - Requested values per option, e.g. { size: 'S,M', color: 'red' }
+ * @returns {Object|null} `$elemMatch` condition for `variants`, or null when no option is requested
+ */
+export const buildVariantStockMatch = (options) => {
+  const elemMatch = {};
 
-  const list = Array.isArray(values) ? values : [values];
+  VARIANT_OPTION_FIELDS.forEach(field => {
+    const values = (createCaseInsensitivePatterns(options[field]) || []).filter(Boolean);
+    if (!values.length) return;
 
-  return list.map(value => ({
-    [field]: { $regex: new RegExp(value, 'i') }
-  }));
-};
+    elemMatch[`attributes.${field}`] = {
+      $in: values.map(value => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'))
+    };
+  });
 
-const normalizeSearchTerm = (term) => {
-  return term
-    .toLowerCase()
-    .replace(/['']s/g, '')   // remove possessive 's or 's
-    .replace(/s\b/g, '')     // remove plural trailing 's'
-    .replace(/-/g, ' ')      // replace hyphens with spaces
-    .trim();
+  if (!Object.keys(elemMatch).length) return null;
+
+  elemMatch.inventory = { $gt: 0 };
+  return { $elemMatch: elemMatch };
 };
 
+const SEARCH_TEXT_FIELDS = ['name', 'description', 'tags'];
+
+// Case-insensitive substring match of any term on name, description or tags (or the given fields)
+const buildTextRegexConditions = (terms, fields = SEARCH_TEXT_FIELDS) => terms.flatMap(term => {
+  const pattern = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return fields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }));
+});
+
 /**
  * Shared query builder for both products and filters
  * 
  * Features:
- * - Handles text search with vector search fallback
+ * - Hybrid text index + vector search ranked by reciprocal rank fusion,
+ *   with a regex fallback when neither source returns matches
+ * - Synonym expansion and typo correction ("did you mean")
+ * - Boolean filter expressions through `q` (see utils/filterExpression.js)
+ * - Size and color matched against in-stock variants
+ * - In-stock only filtering on the persisted inventory totals
+ * - Sale and minimum discount filtering
+ * - Prices in the shopper's `currency` (presentment prices from Shopify Markets)
+ * - Search over translated content for a storefront `locale`
  * - Supports multiple filter types
  * - Case-insensitive matching
  * - Price range filtering
@@ -72,11 +108,15 @@ const normalizeSearchTerm = (term) => {
  * - Brand and type information
  * 
  * @param {Object} queryParams - Query parameters from request
+ * @param {Object} context - Optional object that receives `searchRanking`
+ *   ({ ids, scores } from searchService.hybridSearch) for ranked searches and
+ *   `didYouMean` when the spelling correction matched better
  * @returns {Object} MongoDB query object
  */
-export const buildSharedQuery = async (queryParams) => {
+export const buildSharedQuery = async (queryParams, context = {}) => {
   const {
     search = '',
+    searchMode,
     category,
     tags,
     color,
@@ -94,9 +134,22 @@ export const buildSharedQuery = async (queryParams) => {
     collections,
     style,
     id,
-    productId
+    productId,
+    q,
+    inStock,
+    onSale,
+    minDiscount,
+    currency,
+    locale
   } = queryParams;
 
+  // Price filters use the shopper's currency (callers reject unsupported ones)
+  const { priceField } = resolveCurrency(currency) || { priceField: 'price' };
+  // Search also matches content translated into the shopper's locale
+  const translationPath = getTranslationPath(resolveLocale(locale));
+  const translatedFields = translationPath ? SEARCH_TEXT_FIELDS.map(field => `${translationPath}.${field}`) : [];
+  const textFields = [...SEARCH_TEXT_FIELDS, ...translatedFields];
+
   // Base query - always include available products
   const query = {
     isAvailable: true
@@ -113,42 +166,63 @@ export const buildSharedQuery = async (queryParams) => {
   }
 
   // Handle search
-  if (search && search.length >= 3) {
-    try {
-      const queryEmbedding = await vectorService.generateQueryEmbedding(search);
-      const similarProducts = await vectorService.searchSimilarProducts(queryEmbedding, {
-        limit: parseInt(queryParams.limit || 20),
-        minScore: 0.6
+  if (search) {
+    const analysis = await searchTermService.analyzeSearchTerm(search);
+    let ranking = null;
+
+    if (search.length >= 3) {
+      ranking = await searchService.hybridSearch(search, {
+        mode: searchMode,
+        textQuery: analysis.terms.join(' ')
       });
 
-      if (similarProducts.length > 0) {
-        query._id = { $in: similarProducts.map(p => p.productId) };
+      // Retry with the corrected spelling and keep it when it matches more products by keyword
+      if (analysis.corrected) {
+        const correctedRanking = await searchService.hybridSearch(analysis.corrected, {
+          mode: searchMode,
+          textQuery: analysis.correctedTerms.join(' ')
+        });
+        if (searchService.countTextMatches(correctedRanking) > searchService.countTextMatches(ranking)) {
+          ranking = correctedRanking;
+          context.didYouMean = analysis.corrected;
+        }
+      }
+    }
+
+    if (ranking && ranking.ids.length > 0) {
+      context.searchRanking = ranking;
+      if (translatedFields.length) {
+        // Translations aren't part of the ranking sources; match them next to the ranked products
+        query.$or = [{ _id: { $in: ranking.ids } }, ...buildTextRegexConditions(analysis.terms, translatedFields)];
       } else {
-        query.$or = [
-          { name: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { 'tags': { $regex: search, $options: 'i' } }
-        ];
+        query._id = { $in: ranking.ids };
       }
-    } catch (error) {
-      console.error('Vector search failed, falling back to text search:', error);
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { 'tags': { $regex: search, $options: 'i' } }
-      ];
-    }
-  } else if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } },
-      { 'tags': { $regex: search, $options: 'i' } }
-    ];
+    } else {
+      query.$or = buildTextRegexConditions(analysis.terms, textFields);
+
+      if (analysis.corrected) {
+        const correctedOr = buildTextRegexConditions(analysis.correctedTerms, textFields);
+        const [originalCount, correctedCount] = await Promise.all([
+          Product.countDocuments({ isAvailable: true, $or: query.$or }),
+          Product.countDocuments({ isAvailable: true, $or: correctedOr })
+        ]);
+        if (correctedCount > originalCount) {
+          query.$or = correctedOr;
+          context.didYouMean = analysis.corrected;
+        }
+      }
+    }
   }
 
   // Apply common filters
   if (category) {
-    query.categories = { $in: createCaseInsensitivePatterns(category) };
+    // Category tree handles or names include their descendants; other values match the flat categories
+    const categoryHandles = await categoryService.resolveCategoryHandles(category);
+    if (categoryHandles) {
+      query.categoryHandles = { $in: categoryHandles };
+    } else {
+      query.categories = { $in: createCaseInsensitivePatterns(category) };
+    }
   }
 
  const collectionParam = collections  // Use collection first, fallback to collection_handle
@@ -166,12 +240,10 @@ export const buildSharedQuery = async (queryParams) => {
     query.tags = { $in: createCaseInsensitivePatterns(tags) };
   }
 
-  if (color) {
-    query['attributes.color'] = { $in: createCaseInsensitivePatterns(color) };
-  }
-
-  if (size) {
-    query['attributes.size'] = { $in: createCaseInsensitivePatterns(size) };
+  // Color and size must be in stock together on the same variant
+  const variantMatch = buildVariantStockMatch({ color, size });
+  if (variantMatch) {
+    query.variants = variantMatch;
   }
 
   if (material) {
@@ -194,14 +266,12 @@ export const buildSharedQuery = async (queryParams) => {
     query.productType = { $in: createCaseInsensitivePatterns(productType) };
   }
   if (brand) {
-    const brandOrConditions = createCaseInsensitivePatternsCollentions('brand', brand);
-
-    if (brandOrConditions.length) {
-      query.$or = brandOrConditions;
-    }
-    // if (brand) {
-    //   query.brand = { $in: createCaseInsensitivePatterns(brand) };
-    // }
+    // Case-insensitive partial match on any of the brands, without touching the search $or
+    query.brand = {
+      $in: createCaseInsensitivePatterns(brand).map(value =>
+        new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+      )
+    };
   }
 
   if (fabric) {
@@ -218,9 +288,26 @@ export const buildSharedQuery = async (queryParams) => {
 
   // Price range filter
   if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = parseFloat(minPrice);
-    if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+    query[priceField] = {};
+    if (minPrice) query[priceField].$gte = parseFloat(minPrice);
+    if (maxPrice) query[priceField].$lte = parseFloat(maxPrice);
+  }
+
+  if (inStock === true || inStock === 'true') {
+    query.inStock = true;
+  }
+
+  // Sale filters use the best in-stock variant discount
+  const minDiscountValue = parseFloat(minDiscount);
+  if (minDiscountValue > 0) {
+    query.maxDiscount = { $gte: minDiscountValue };
+  } else if (onSale === true || onSale === 'true') {
+    query.maxDiscount = { $gt: 0 };
+  }
+
+  // Boolean filter expression, ANDed with everything above
+  if (q) {
+    query.$and = [parseFilterExpression(q, { paths: { price: priceField } })];
   }
 
   return query;
@@ -241,59 +328,169 @@ const generateProductCacheKey = (filters) => {
   return `products:${JSON.stringify(sortedFilters)}`;
 };
 
+// Filter params dropped together, in the default relaxation order
+const RELAXATION_GROUPS = {
+  style: ['style'],
+  work: ['work'],
+  fabric: ['fabric'],
+  season: ['season'],
+  material: ['material'],
+  tags: ['tags'],
+  discount: ['minDiscount', 'onSale'],
+  size: ['size'],
+  color: ['color'],
+  price: ['minPrice', 'maxPrice'],
+  inStock: ['inStock'],
+  gender: ['gender'],
+  productType: ['productType'],
+  productGroup: ['productGroup'],
+  brand: ['brand'],
+  category: ['category'],
+  q: ['q']
+};
+
+// Search and collections are never relaxed; RELAXATION_ORDER (comma separated groups) overrides the order
+const RELAXATION_ORDER = (process.env.RELAXATION_ORDER || Object.keys(RELAXATION_GROUPS).join(','))
+  .split(',')
+  .map(group => group.trim())
+  .filter(group => RELAXATION_GROUPS[group]);
+
+const getRelaxableKeys = (filters, group) =>
+  RELAXATION_GROUPS[group].filter(key => ![undefined, '', 'false'].includes(filters[key]));
+
+/**
+ * Drop filter groups in RELAXATION_ORDER, one at a time, until the query matches products
+ * @param {Object} filters - Listing filters
+ * @param {Object} query - Query built from all filters; its search conditions are kept
+ * @returns {Promise<Object>} { query, removedFilters } where query is null when nothing
+ *   matches even without any relaxable filter
+ */
+const relaxQuery = async (filters, query) => {
+  const remaining = { ...filters, search: undefined };
+  const removedFilters = [];
+
+  for (const group of RELAXATION_ORDER) {
+    const keys = getRelaxableKeys(remaining, group);
+    if (!keys.length) continue;
+
+    keys.forEach(key => delete remaining[key]);
+    removedFilters.push(...keys);
+
+    const relaxed = await buildSharedQuery(remaining);
+    // Reuse the search matches instead of running the search again
+    if (query._id) relaxed._id = query._id;
+    if (query.$or) relaxed.$or = query.$or;
+
+    if (await Product.countDocuments(relaxed) > 0) {
+      return { query: relaxed, removedFilters };
+    }
+  }
+
+  return { query: null, removedFilters };
+};
+
 /**
- * Get best selling products with proper aggregation and filtering
- * @param {Object} filters - Query filters
+ * Best sellers of the requested collection(s), shown when a listing has no results at all
+ * @param {string} collections - Collection handle(s) of the listing
  * @param {number} limit - Number of products to return
- * @param {number} skip - Number of products to skip for pagination
- * @returns {Object} Products with sales data and pagination info
+ * @param {Object|null} projection - Listing projection
+ * @returns {Promise<Array>}
  */
-const getBestSellingProducts = async (filters, limit, skip) => {
-  try {
-    // Build the product query from filters
-    const productQuery = await buildSharedQuery(filters);
+const getPopularFallback = async (collections, limit, projection) => {
+  const query = await buildSharedQuery({ collections });
+  const { sort } = parseSortParam('best_seller');
+  return Product.find(query, projection).sort(sort).limit(limit).lean();
+};
 
+/**
+ * Get products through an aggregation when sorting on computed fields
+ * - totalSaleQty: summed from the orders collection (best-seller presets use the
+ *   pre-aggregated `sales*` fields instead)
+ * - relevance: fused hybrid search score
+ * - merchandisingScore: boost and bury weights of merchandising rules
+ * - collectionPosition: manual collection position, unpositioned products last
+ * @param {Object} productQuery - Query from buildSharedQuery
+ * @param {Object} options
+ * @param {number} options.limit - Number of products to return
+ * @param {number} options.skip - Number of products to skip for pagination (ignored when `after` is set)
+ * @param {Object|null} options.after - Keyset match for cursor pagination
+ * @param {Object} options.sortOptions - Mongo sort object
+ * @param {Object} options.searchRanking - Hybrid search ranking ({ ids, scores })
+ * @param {Object|null} options.projection - Inclusion projection from parseFieldsParam
+ * @param {Object|null} options.merchandisingScore - Boost/bury expression from merchandisingService
+ * @param {Object|null} options.collectionPosition - Position expression from collectionOrderService
+ * @returns {Object} Products with computed fields and total count
+ */
+const getAggregatedProducts = async (productQuery, {
+  limit, skip, after = null, sortOptions, searchRanking, projection = null, merchandisingScore = null,
+  collectionPosition = null
+}) => {
+  try {
     // Get total count of products that match the filters
     const totalProducts = await Product.countDocuments(productQuery);
 
-    // Use aggregation to get products with sales data and apply filters
+    const computedFields = {};
     const pipeline = [
       // Match products based on filters
-      { $match: productQuery },
+      { $match: productQuery }
+    ];
 
+    if ('totalSaleQty' in sortOptions) {
       // Lookup orders for each product
-      {
+      pipeline.push({
         $lookup: {
           from: 'orders',
           localField: 'productId',
           foreignField: 'product_id',
           as: 'orders'
         }
-      },
+      });
+      computedFields.totalSaleQty = { $sum: '$orders.quantity' };
+    }
 
-      // Add total sales quantity field
-      {
-        $addFields: {
-          totalSaleQty: {
-            $sum: '$orders.quantity'
-          }
-        }
-      },
+    if (searchRanking) {
+      // Look up each product's fused score by its position in the ranking
+      const relevances = searchRanking.ids.map(id => searchRanking.scores.get(id.toString()).relevance);
+      // Products matched outside the ranking (translated content) rank after it
+      computedFields.relevance = {
+        $cond: [
+          { $in: ['$_id', searchRanking.ids] },
+          { $arrayElemAt: [relevances, { $indexOfArray: [searchRanking.ids, '$_id'] }] },
+          0
+        ]
+      };
+    }
 
-      // Sort by total sales quantity in descending order
-      { $sort: { totalSaleQty: -1 } },
+    if (merchandisingScore) {
+      computedFields.merchandisingScore = merchandisingScore;
+    }
 
-      // Apply pagination
-      { $skip: skip },
-      { $limit: limit },
+    if ('collectionPosition' in sortOptions) {
+      computedFields.collectionPosition = collectionPosition;
+    }
 
+    if (Object.keys(computedFields).length) {
+      pipeline.push({ $addFields: computedFields });
+    }
+
+    pipeline.push(
+      // Resume after the cursor position
+      ...(after ? [{ $match: after }] : []),
+
+      { $sort: sortOptions },
+
+      // Apply pagination
+      ...(after ? [] : [{ $skip: skip }]),
+      { $limit: limit }
+    );
+
+    if (projection) {
+      // Inclusion projection also drops the looked-up orders
+      pipeline.push({ $project: projection });
+    } else if ('totalSaleQty' in sortOptions) {
       // Remove orders field and keep only necessary data
-      {
-        $project: {
-          orders: 0
-        }
-      }
-    ];
+      pipeline.push({ $project: { orders: 0 } });
+    }
 
     const products = await Product.aggregate(pipeline);
 
@@ -302,7 +499,7 @@ const getBestSellingProducts = async (filters, limit, skip) => {
       total: totalProducts
     };
   } catch (error) {
-    console.error('Error in getBestSellingProducts:', error);
+    console.error('Error in getAggregatedProducts:', error);
     throw error;
   }
 };
@@ -314,36 +511,71 @@ const getBestSellingProducts = async (filters, limit, skip) => {
  * - Advanced filtering with shared query builder
  * - Smart caching system
  * - Flexible sorting options
- * - Pagination support
+ * - Page-based and keyset (cursor) pagination
+ * - Sparse fieldsets through `fields` (see utils/projection.js)
+ * - Merchandising rules (pins, boosts, buries) per collection or search term
+ * - Zero-results recovery: filters are relaxed in RELAXATION_ORDER until products
+ *   match (`relax=false` turns it off), then popular products of the collection
  * 
  * Sorting Options:
  * - featured: By featured status
- * - best_selling: By sales count
+ * - best_seller: By all-time sales count; best_seller_7d/_30d/_90d by recent windows
+ * - trending: By sales and engagement acceleration (see cron/trending.js)
  * - alphabetical: By name (asc/desc)
- * - price: By price (asc/desc)
+ * - price: By price (asc/desc), in the requested `currency`
  * - date: By creation date (old/new)
+ * - relevance: By hybrid search score (default when `search` is given)
+ * - manual: By the positions arranged in the Shopify admin (single collection only)
+ * - Without `sort`, a single collection listing uses its Shopify sort order
+ * - Multi-key lists such as `price:asc,createdAt:desc` (see utils/sorting.js);
+ *   `order` applies to keys without a direction and `_id` always breaks ties
  * 
  * Response includes:
  * - Filtered products array
- * - Pagination details
+ * - Pagination details (with `nextCursor` for the following page)
  * - Total count
  * - Applied filters
+ * - Relaxation details (`removedFilters`, `fallback`) when the filters matched nothing
+ * - `searchId` for searches, to attach result clicks (POST /search/click)
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 
 const getProducts = async (req, res) => {
+  const startedAt = Date.now();
   try {
     let {
       page = 1,
       limit = 20,
-      sort = 'best_seller',
+      sort,
       order = 'desc',
+      cursor,
+      outOfStockLast,
+      fields,
+      relax,
+      sessionId, // analytics only, kept out of filters and the cache key
       bypassCache = false,
       ...filters
     } = req.query;
 
+    // Searches are logged on every response, cached ones included; the searchId links result clicks
+    const sendResponse = (response) => {
+      if (!filters.search) return res.json(response);
+
+      const { search, ...otherFilters } = filters;
+      const searchId = searchAnalyticsService.logSearch({
+        query: search,
+        source: 'products',
+        filters: otherFilters,
+        resultCount: response.data.totalAvailableProducts,
+        relaxed: Boolean(response.data.relaxation),
+        latencyMs: Date.now() - startedAt,
+        sessionId: searchAnalyticsService.getSessionId(req)
+      });
+      return res.json({ ...response, searchId });
+    };
+
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
@@ -353,13 +585,108 @@ const getProducts = async (req, res) => {
       delete filters['vendors?q'];          // Remove original key
     }
 
+    // Searches rank by relevance and collections follow their Shopify sort order unless the client asks for another
+    if (!sort && !filters.search) {
+      sort = await collectionOrderService.getCollectionSort(filters.collections);
+    }
+    sort = sort || (filters.search ? 'relevance' : 'best_seller');
+
+    // Price filters and sorts follow the shopper's currency
+    const currencyOptions = resolveCurrency(filters.currency);
+    if (!currencyOptions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency',
+        message: `Unsupported currency: ${filters.currency}. Supported currencies: ${getSupportedCurrencies().join(', ')}`
+      });
+    }
+    if (filters.currency) filters.currency = currencyOptions.currency;
+
+    // Returned content and search matching follow the shopper's locale
+    const locale = resolveLocale(filters.locale);
+    if (!locale) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid locale',
+        message: `Unsupported locale: ${filters.locale}. Supported locales: ${getSupportedLocales().join(', ')}`
+      });
+    }
+    if (filters.locale) filters.locale = locale;
+    const translationPath = getTranslationPath(locale);
+
+    // Only a single collection has manual positions
+    const collectionPosition = collectionOrderService.buildPositionExpression(filters.collections);
+    let { sort: sortOptions, invalid: invalidSortKeys } = parseSortParam(sort, order, {
+      outOfStockLast: outOfStockLast === 'true',
+      priceField: currencyOptions.priceField,
+      positionField: collectionPosition ? 'collectionPosition' : null
+    });
+    if (!sortOptions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sort',
+        message: `Unsupported sort keys: ${invalidSortKeys.join(', ')}. Sortable fields: ${Object.keys(SORTABLE_FIELDS).join(', ')}`
+      });
+    }
+
+    // Merchandising rules for this collection or search term; boosts and buries lead every sort
+    const merchandisingRules = await merchandisingService.getActiveRules({
+      collection: filters.collections,
+      search: filters.search
+    });
+    const merchandisingScore = merchandisingService.buildMerchandisingScore(merchandisingRules);
+    if (merchandisingScore) {
+      sortOptions = { merchandisingScore: -1, ...sortOptions };
+    }
+
+    // Redirects and banners for the search term; fires count on cached responses too
+    const searchRules = await searchRuleService.matchSearchRules(filters.search);
+    searchRuleService.recordRuleFires(searchRules.rules).catch(err =>
+      console.error('Error recording search rule fires:', err)
+    );
+
+    // Sort keys stay in the projection so the next cursor can be built; translations to localize
+    const { projection, key: fieldsKey, invalid: invalidFields } = parseFieldsParam(fields, {
+      include: [...Object.keys(sortOptions), ...(translationPath ? [translationPath] : [])]
+    });
+    if (invalidFields.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fields',
+        message: `Unsupported fields: ${invalidFields.join(', ')}. Presets: ${Object.keys(FIELD_PRESETS).join(', ')}`
+      });
+    }
+
+    // Resolve keyset position when a cursor is given, otherwise fall back to page/skip
+    let after = null;
+    let cursorOffset = null;
+    if (cursor) {
+      const decoded = decodeCursor(cursor, sortOptions);
+      if (!decoded) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+          message: 'The cursor is malformed or was issued for a different sort'
+        });
+      }
+      after = buildKeysetMatch(sortOptions, decoded.values);
+      cursorOffset = decoded.offset;
+    }
+
     // 🔐 Cache key
     const cacheFilters = {
       ...filters,
-      page: pageNum,
+      page: cursor ? undefined : pageNum,
+      cursor,
       limit: limitNum,
       sort,
-      order
+      order,
+      outOfStockLast,
+      fields: fieldsKey,
+      relax,
+      // Edited rules produce new keys once the rule cache reloads
+      merchandising: merchandisingRules.map(rule => `${rule._id}:${new Date(rule.updatedAt).getTime()}`).join(','),
+      searchRules: searchRules.rules.map(rule => `${rule._id}:${new Date(rule.updatedAt).getTime()}`).join(',')
     };
 
     const baseKey = generateProductCacheKey(cacheFilters);
@@ -368,88 +695,184 @@ const getProducts = async (req, res) => {
     const cachedResult = productCache.get(baseKey);
     if (!bypassCache && cachedResult && productCache.isValid(baseKey)) {
       console.log('Cache hit for products');
-      return res.json(cachedResult);
+      return sendResponse(cachedResult);
     }
 
-    let response;
+    // Fetch one extra item to know whether another page exists
+    let products;
+    let total;
+
+    // Count the search for popular-query suggestions (async, don't wait)
+    if (filters.search) {
+      suggestionService.recordSearchQuery(filters.search).catch(err =>
+        console.error('Error recording search query:', err)
+      );
+    }
 
-    if (sort === 'best_seller') {
-      const { products, total } = await getBestSellingProducts(filters, limitNum, skip);
+    const searchContext = {};
+    let query = await buildSharedQuery(filters, searchContext);
+    console.log('query', query);
+
+    // Zero results: relax filters one group at a time, then fall back to popular products
+    let relaxation = null;
+    const canRelax = relax !== 'false' && !filters.id && !filters.productId &&
+      (filters.search || RELAXATION_ORDER.some(group => getRelaxableKeys(filters, group).length));
+    if (canRelax && await Product.countDocuments(query) === 0) {
+      const relaxed = await relaxQuery(filters, query);
+      relaxation = {
+        removedFilters: relaxed.removedFilters,
+        fallback: relaxed.query ? null : 'popular'
+      };
+      if (relaxed.query) query = relaxed.query;
+    }
 
-      response = {
+    if (relaxation?.fallback) {
+      // A single page of best sellers; later pages are empty
+      const popular = cursor || pageNum > 1
+        ? []
+        : (await getPopularFallback(filters.collections, limitNum, projection))
+          .map(product => localizeProduct(product, locale));
+      const response = {
         success: true,
         data: {
-          products,
+          products: popular,
           pagination: {
-            total,
-            page: pageNum,
+            total: popular.length,
+            page: cursor ? null : pageNum,
             limit: limitNum,
-            pages: Math.ceil(total / limitNum)
+            pages: 1,
+            hasNextPage: false,
+            nextCursor: null
           },
           filters,
-          totalAvailableProducts: total
+          currency: currencyOptions.currency,
+          locale,
+          totalAvailableProducts: 0,
+          didYouMean: searchContext.didYouMean || null,
+          merchandisingRules: [],
+          redirect: searchRules.redirect,
+          banners: searchRules.banners,
+          relaxation
         }
       };
-    } else {
-      const query = await buildSharedQuery(filters);
-      console.log('query', query);
-
-      let sortOptions = {};
-      switch (sort) {
-        case 'featured':
-          sortOptions = { featured: -1 };
-          break;
-        case 'alphabetical_asc':
-          sortOptions = { name: 1 };
-          break;
-        case 'alphabetical_desc':
-          sortOptions = { name: -1 };
-          break;
-        case 'price_asc':
-          sortOptions = { price: 1 };
-          break;
-        case 'price_desc':
-          sortOptions = { price: -1 };
-          break;
-        case 'date_old_to_new':
-          sortOptions = { createdAt: 1 };
-          break;
-        case 'date_new_to_old':
-          sortOptions = { createdAt: -1 };
-          break;
-        default:
-          sortOptions = { createdAt: -1 };
+
+      if (!bypassCache) {
+        productCache.set(baseKey, response);
       }
+      return sendResponse(response);
+    }
 
-      const [products, total] = await Promise.all([
-        Product.find(query).sort(sortOptions).skip(skip).limit(limitNum).lean(),
-        Product.countDocuments(query)
-      ]);
+    // Pinned products leave the normal order and are placed at their positions on every page;
+    // cursors carry the number of results already listed so their pages know which slots they cover
+    // (cursors without an offset keep the natural order)
+    const pageOffset = cursor ? cursorOffset : skip;
+    const pins = pageOffset === null ? [] : await merchandisingService.resolvePins(
+      merchandisingService.collectPins(merchandisingRules),
+      query,
+      projection
+    );
+    const listQuery = pins.length
+      ? { $and: [query, { _id: { $nin: pins.map(pin => pin.product._id) } }] }
+      : query;
+
+    // Page slots taken by pins before this page shift where the other products start
+    let listSkip = skip;
+    let pinIndexes = [];
+    if (pins.length) {
+      pinIndexes = merchandisingService.getPinIndexes(pins, await Product.countDocuments(listQuery));
+      if (!after) listSkip = skip - pinIndexes.filter(index => index < skip).length;
+    }
 
-      response = {
-        success: true,
-        data: {
-          products,
-          pagination: {
-            total,
-            page: pageNum,
-            limit: limitNum,
-            pages: Math.ceil(total / limitNum)
-          },
-          filters,
-          totalAvailableProducts: total
-        }
-      };
+    if (['totalSaleQty', 'relevance', 'merchandisingScore', 'collectionPosition'].some(field => field in sortOptions)) {
+      ({ products, total } = await getAggregatedProducts(listQuery, {
+        limit: limitNum + 1,
+        skip: listSkip,
+        after,
+        sortOptions,
+        searchRanking: searchContext.searchRanking,
+        projection,
+        merchandisingScore,
+        collectionPosition
+      }));
+    } else {
+      const pageQuery = after ? { $and: [listQuery, after] } : listQuery;
+      const productsQuery = Product.find(pageQuery, projection).sort(sortOptions);
+      if (!after) productsQuery.skip(listSkip);
+
+      [products, total] = await Promise.all([
+        productsQuery.limit(limitNum + 1).lean(),
+        Product.countDocuments(listQuery)
+      ]);
+    }
+    total += pins.length;
+
+    let hasNextPage;
+    let lastListed;
+    if (pinIndexes.length) {
+      const placed = merchandisingService.placePins(products, pins, pinIndexes, { offset: pageOffset, limit: limitNum });
+      hasNextPage = pageOffset + limitNum < total;
+      lastListed = products[placed.consumed - 1];
+      products = placed.products;
+    } else {
+      hasNextPage = products.length > limitNum;
+      if (hasNextPage) products = products.slice(0, limitNum);
+      lastListed = products[products.length - 1];
+    }
+    // Cursors continue from the last non-pinned product; a page filled with pins
+    // gets a cursor pointing before the first non-pinned one
+    const nextCursor = hasNextPage
+      ? encodeCursor(lastListed || null, sortOptions, pageOffset === null ? null : pageOffset + products.length)
+      : null;
+
+    // Expose per-product search scores
+    if (searchContext.searchRanking) {
+      products.forEach(product => {
+        product.searchScore = searchContext.searchRanking.scores.get(product._id.toString()) || null;
+      });
     }
+
+    products = products.map(product => localizeProduct(product, locale));
+
+    const response = {
+      success: true,
+      data: {
+        products,
+        pagination: {
+          total,
+          page: cursor ? null : pageNum,
+          limit: limitNum,
+          pages: Math.ceil(total / limitNum),
+          hasNextPage,
+          nextCursor
+        },
+        filters,
+        currency: currencyOptions.currency,
+        locale,
+        totalAvailableProducts: total,
+        didYouMean: searchContext.didYouMean || null,
+        merchandisingRules: merchandisingRules.map(rule => rule._id),
+        redirect: searchRules.redirect,
+        banners: searchRules.banners,
+        relaxation
+      }
+    };
     
     // Store in cache only if not bypassing
     if (!bypassCache) {
       productCache.set(baseKey, response);
      }
 
-    res.json(response);
+    sendResponse(response);
 
   } catch (error) {
+    if (error instanceof FilterExpressionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filter expression',
+        message: error.message,
+        position: error.position
+      });
+    }
     console.error('Error fetching products:', error);
     res.status(500).json({
       success: false,
@@ -459,6 +882,247 @@ const getProducts = async (req, res) => {
   }
 };
 
+/**
+ * Get trending products
+ * Products with the highest stored trending score, optionally narrowed by the
+ * same filters as getProducts
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTrendingProducts = async (req, res) => {
+  try {
+    const { limit = 20, bypassCache = false, ...filters } = req.query;
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const cacheKey = `trending:${generateProductCacheKey({ ...filters, limit: limitNum })}`;
+    const cachedResult = productCache.get(cacheKey);
+    if (!bypassCache && cachedResult && productCache.isValid(cacheKey)) {
+      return res.json(cachedResult);
+    }
+
+    const query = await buildSharedQuery(filters);
+    const { sort: sortOptions } = parseSortParam('trending');
+
+    const products = await Product.find({ ...query, trendingScore: { $gt: 0 } })
+      .sort(sortOptions)
+      .limit(limitNum)
+      .lean();
+
+    const response = {
+      success: true,
+      data: {
+        products,
+        updatedAt: products[0]?.trendingUpdatedAt || null
+      }
+    };
+
+    if (!bypassCache) {
+      productCache.set(cacheKey, response);
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (error instanceof FilterExpressionError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filter expression',
+        message: error.message,
+        position: error.position
+      });
+    }
+    console.error('Error fetching trending products:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trending products',
+      message: error.message
+    });
+  }
+};
+
+// Related blocks that can be embedded in the product detail response
+const DETAIL_INCLUDES = ['similar', 'boughtTogether'];
+
+/**
+ * Get a single product by handle, productId or shopifyId
+ * Adds the variant price range, stock per option value, collection titles, category
+ * breadcrumbs and sales rank; `include=similar,boughtTogether` embeds related products.
+ * Related blocks that fail to load come back empty rather than failing the request.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getProductDetail = async (req, res) => {
+  try {
+    const { handleOrId } = req.params;
+    const { include, locale: requestedLocale, bypassCache = false } = req.query;
+
+    const locale = resolveLocale(requestedLocale);
+    if (!locale) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid locale',
+        message: `Unsupported locale: ${requestedLocale}. Supported locales: ${getSupportedLocales().join(', ')}`
+      });
+    }
+    const translationPath = getTranslationPath(locale);
+
+    const includes = String(include || '').split(',').map(item => item.trim()).filter(Boolean);
+    const invalidIncludes = includes.filter(item => !DETAIL_INCLUDES.includes(item));
+    if (invalidIncludes.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid include',
+        message: `Unsupported include: ${invalidIncludes.join(', ')}. Available: ${DETAIL_INCLUDES.join(', ')}`
+      });
+    }
+
+    const cacheKey = `product:${handleOrId}:${[...includes].sort().join(',')}:${locale}`;
+    const cachedResult = productCache.get(cacheKey);
+    if (!bypassCache && cachedResult && productCache.isValid(cacheKey)) {
+      return res.json(cachedResult);
+    }
+
+    const { projection } = parseFieldsParam('detail', {
+      include: ['sales', 'sales30d', ...(translationPath ? [translationPath] : [])]
+    });
+    const found = await productDetailService.findProductByHandleOrId(handleOrId, projection);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found',
+        message: `No available product matches "${handleOrId}"`
+      });
+    }
+    const product = localizeProduct(found, locale);
+
+    const loadRelated = (name, loader) => (includes.includes(name)
+      ? loader(product).catch(error => {
+        console.error(`Error loading ${name} products:`, error);
+        return [];
+      })
+      : Promise.resolve(undefined));
+
+    const [collections, breadcrumbs, salesRank, similar, boughtTogether] = await Promise.all([
+      productDetailService.getCollectionTitles(product, locale),
+      categoryService.getBreadcrumbs(product),
+      productDetailService.getSalesRank(product),
+      loadRelated('similar', productDetailService.getSimilarProducts),
+      loadRelated('boughtTogether', productDetailService.getBoughtTogether)
+    ]);
+
+    const response = {
+      success: true,
+      data: {
+        product,
+        locale,
+        priceRange: productDetailService.getVariantPriceRange(product),
+        stockByOption: productDetailService.getStockByOption(product),
+        collections,
+        breadcrumbs,
+        salesRank,
+        ...(similar && { similar }),
+        ...(boughtTogether && { boughtTogether })
+      }
+    };
+
+    if (!bypassCache) {
+      productCache.set(cacheKey, response);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching product detail:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch product',
+      message: error.message
+    });
+  }
+};
+
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Get many products at once for carts, wishlists and recently viewed lists
+ * Body: { ids: [handle | productId | shopifyId, ...], fields }
+ * Products come back in the requested order; identifiers that are unknown or
+ * unavailable are listed in `missing`. Each product is cached on its own so
+ * overlapping batches share entries.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getProductsBatch = async (req, res) => {
+  try {
+    const { ids, fields } = req.body || {};
+    // JSON clients may send the flag as a string; only true/"true" bypasses the cache
+    const bypassCache = req.body?.bypassCache === true || req.body?.bypassCache === 'true';
+
+    if (!Array.isArray(ids) || !ids.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ids',
+        message: '`ids` must be a non-empty array of handles, productIds or shopifyIds'
+      });
+    }
+    if (ids.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many ids',
+        message: `At most ${MAX_BATCH_SIZE} products can be requested at once`
+      });
+    }
+
+    const { projection, key: fieldsKey, invalid: invalidFields } = parseFieldsParam(fields);
+    if (invalidFields.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fields',
+        message: `Unsupported fields: ${invalidFields.join(', ')}. Presets: ${Object.keys(FIELD_PRESETS).join(', ')}`
+      });
+    }
+
+    const identifiers = Array.from(new Set(ids.map(id => String(id).trim()).filter(Boolean)));
+    const itemCacheKey = (identifier) => `product-item:${fieldsKey || '*'}:${identifier}`;
+
+    const found = new Map();
+    const uncached = [];
+    identifiers.forEach(identifier => {
+      const cacheKey = itemCacheKey(identifier);
+      const cached = productCache.get(cacheKey);
+      if (!bypassCache && cached && productCache.isValid(cacheKey)) {
+        found.set(identifier, cached);
+      } else {
+        uncached.push(identifier);
+      }
+    });
+
+    const loaded = await productDetailService.findProductsByHandleOrId(uncached, projection);
+    loaded.forEach((product, identifier) => {
+      found.set(identifier, product);
+      if (!bypassCache) {
+        productCache.set(itemCacheKey(identifier), product);
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        products: identifiers.filter(identifier => found.has(identifier)).map(identifier => found.get(identifier)),
+        missing: identifiers.filter(identifier => !found.has(identifier))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching product batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch products',
+      message: error.message
+    });
+  }
+};
+
 export const getProductSalesStats = async (req, res) => {
   try {
     const { limit = 20, page = 1 } = req.query;
@@ -576,5 +1240,8 @@ export const getProductSalesStats = async (req, res) => {
 
 export default {
   getProducts,
+  getTrendingProducts,
+  getProductDetail,
+  getProductsBatch,
   getProductSalesStats
 };
\ No newline at end of file
@@ -3,6 +3,13 @@ import  UserInteraction  from '../models/UserInteraction.js';
 import  UserPreference  from '../models/UserPreference.js';
 import  vectorService  from '../services/vectorService.js';
 import  {embeddingService}  from '../services/embeddingService.js';
+import { SORTABLE_FIELDS, parseSortParam } from '../utils/sorting.js';
+import suggestionService from '../services/suggestionService.js';
+import searchTermService from '../services/searchTermService.js';
+import searchRuleService from '../services/searchRuleService.js';
+import searchAnalyticsService from '../services/searchAnalyticsService.js';
+import { buildVariantStockMatch } from './productController.js';
+import { resolveCurrency, getSupportedCurrencies } from '../utils/currency.js';
 
 
 
@@ -97,23 +104,63 @@ async function getPopularProducts(req, res) {
  * Search products with AI
  */
 async function searchProducts(req, res) {
+  const startedAt = Date.now();
   try {
     const { query, limit = 20 } = req.query;
     
     if (!query) {
       return res.status(400).json({ error: 'Search query is required' });
     }
+
+    // Count the search for popular-query suggestions (async, don't wait)
+    suggestionService.recordSearchQuery(query).catch(err =>
+      console.error('Error recording search query:', err)
+    );
     
-    // Use vector search for natural language understanding
-    const searchResults = await vectorService.searchProductsByQuery(query, { 
+    // Redirects and banners configured for this query
+    const searchRules = await searchRuleService.matchSearchRules(query);
+    searchRuleService.recordRuleFires(searchRules.rules).catch(err =>
+      console.error('Error recording search rule fires:', err)
+    );
+
+    // Expand synonyms so "sari" also finds "saree"
+    const analysis = await searchTermService.analyzeSearchTerm(query);
+    const searchOptions = {
       limit: parseInt(limit),
       minScore: 0.5
-    });
+    };
     
+    // Use vector search for natural language understanding
+    let searchResults = await vectorService.searchProductsByQuery(analysis.terms.join(' '), searchOptions);
+    let didYouMean = null;
+
+    // Retry with the corrected spelling and keep it when its best match scores higher
+    if (analysis.corrected) {
+      const correctedResults = await vectorService.searchProductsByQuery(analysis.correctedTerms.join(' '), searchOptions);
+      const topScore = results => (results.length ? results[0].similarityScore : 0);
+      if (topScore(correctedResults) > topScore(searchResults)) {
+        searchResults = correctedResults;
+        didYouMean = analysis.corrected;
+      }
+    }
+    
+    const searchId = searchAnalyticsService.logSearch({
+      query,
+      source: 'search',
+      filters: {},
+      resultCount: searchResults.length,
+      latencyMs: Date.now() - startedAt,
+      sessionId: searchAnalyticsService.getSessionId(req)
+    });
+
     res.json({
       success: true,
+      searchId,
       results: searchResults,
-      count: searchResults.length
+      count: searchResults.length,
+      didYouMean,
+      redirect: searchRules.redirect,
+      banners: searchRules.banners
     });
   } catch (error) {
     console.error('Error searching products:', error);
@@ -125,19 +172,45 @@ async function searchProducts(req, res) {
  * Filter products by attributes with AI enhancement
  */
 async function filterProducts(req, res) {
+  const startedAt = Date.now();
   try {
     const { 
       color, size, material, season, gender, style, pattern, fit,
-      minPrice, maxPrice, category, vendor, brand, productGroup, query, 
-      sort, page = 1, limit = 20 
+      minPrice, maxPrice, category, vendor, brand, productGroup, query, currency,
+      sort, order = 'desc', page = 1, limit = 20 
     } = req.query;
+
+    // Price filters and sorts in the shopper's currency
+    const currencyOptions = resolveCurrency(currency);
+    if (!currencyOptions) {
+      return res.status(400).json({
+        error: `Unsupported currency: ${currency}`,
+        supportedCurrencies: getSupportedCurrencies()
+      });
+    }
+    const { priceField } = currencyOptions;
+
+    // Sales totals and search relevance are only computed by the products endpoint
+    const computedSortFields = ['totalSaleQty', 'relevance'];
+    const { sort: sortOption, invalid: invalidSortKeys } = parseSortParam(sort, order, {
+      defaultSort: 'newest',
+      exclude: computedSortFields,
+      priceField
+    });
+    if (!sortOption) {
+      return res.status(400).json({
+        error: `Unsupported sort keys: ${invalidSortKeys.join(', ')}`,
+        sortableFields: Object.keys(SORTABLE_FIELDS).filter(field => !computedSortFields.includes(field))
+      });
+    }
     
     // Build filter object
     const filter = { isAvailable: true };
     
     // Add all the attribute filters
-    if (color) filter['attributes.color'] = { $regex: new RegExp(color, 'i') };
-    if (size) filter['attributes.size'] = { $regex: new RegExp(size, 'i') };
+    // Color and size only match variants that are in stock
+    const variantMatch = buildVariantStockMatch({ color, size });
+    if (variantMatch) filter.variants = variantMatch;
     if (material) filter['attributes.material'] = { $regex: new RegExp(material, 'i') };
     if (season) filter['attributes.season'] = { $regex: new RegExp(season, 'i') };
     if (gender) filter['attributes.gender'] = { $regex: new RegExp(gender, 'i') };
@@ -151,9 +224,9 @@ async function filterProducts(req, res) {
     
     // Add price range filter
     if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+      filter[priceField] = {};
+      if (minPrice) filter[priceField].$gte = parseFloat(minPrice);
+      if (maxPrice) filter[priceField].$lte = parseFloat(maxPrice);
     }
     
     // Add category filter
@@ -184,19 +257,6 @@ async function filterProducts(req, res) {
       products = products.slice(startIndex, startIndex + parseInt(limit));
     } else {
       // Standard MongoDB filtering
-      // Sorting
-      let sortOption = { createdAt: -1 }; // Default sort by newest
-      if (sort) {
-        switch (sort) {
-          case 'price_asc': sortOption = { price: 1 }; break;
-          case 'price_desc': sortOption = { price: -1 }; break;
-          case 'name_asc': sortOption = { name: 1 }; break;
-          case 'name_desc': sortOption = { name: -1 }; break;
-          case 'newest': sortOption = { createdAt: -1 }; break;
-          case 'oldest': sortOption = { createdAt: 1 }; break;
-        }
-      }
-      
       // Pagination
       const skip = (parseInt(page) - 1) * parseInt(limit);
       
@@ -209,9 +269,23 @@ async function filterProducts(req, res) {
       // Get total count for pagination
       total = await Product.countDocuments(filter);
     }
+
+    // Only natural language queries are logged as searches
+    const searchId = query
+      ? searchAnalyticsService.logSearch({
+        query,
+        source: 'filter',
+        filters: { color, size, material, season, gender, style, pattern, fit, minPrice, maxPrice, category, vendor, brand, productGroup },
+        resultCount: total,
+        latencyMs: Date.now() - startedAt,
+        sessionId: searchAnalyticsService.getSessionId(req)
+      })
+      : null;
     
     res.json({
       success: true,
+      searchId,
+      currency: currencyOptions.currency,
       products,
       pagination: {
         total,
@@ -0,0 +1,120 @@
+import searchAnalyticsService from '../services/searchAnalyticsService.js';
+
+const MAX_DAYS = 365;
+const MAX_LIMIT = 100;
+
+// Report window and size from the query string
+const parseReportOptions = ({ days = 30, limit = 20, minSearches = 10 }) => ({
+  days: Math.min(Math.max(parseInt(days) || 30, 1), MAX_DAYS),
+  limit: Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT),
+  minSearches: Math.max(parseInt(minSearches) || 10, 1)
+});
+
+/**
+ * Attach a click on a search result to its search
+ */
+async function trackClick(req, res) {
+  try {
+    const { searchId, productId, position } = req.body;
+
+    if (!searchId || !productId) {
+      return res.status(400).json({ error: 'Search ID and Product ID are required' });
+    }
+
+    const found = await searchAnalyticsService.recordClick(searchId, { productId, position });
+    if (!found) {
+      return res.status(404).json({ error: 'Search not found' });
+    }
+
+    res.status(201).json({ success: true });
+  } catch (error) {
+    console.error('Error tracking search click:', error);
+    res.status(500).json({ error: 'Failed to track search click' });
+  }
+}
+
+/**
+ * Most searched queries
+ */
+async function getTopQueries(req, res) {
+  try {
+    const options = parseReportOptions(req.query);
+    const queries = await searchAnalyticsService.getTopQueries(options);
+
+    res.json({
+      success: true,
+      days: options.days,
+      queries
+    });
+  } catch (error) {
+    console.error('Error fetching top search queries:', error);
+    res.status(500).json({ error: 'Failed to fetch top search queries' });
+  }
+}
+
+/**
+ * Queries that returned no results
+ */
+async function getZeroResultQueries(req, res) {
+  try {
+    const options = parseReportOptions(req.query);
+    const queries = await searchAnalyticsService.getZeroResultQueries(options);
+
+    res.json({
+      success: true,
+      days: options.days,
+      queries
+    });
+  } catch (error) {
+    console.error('Error fetching zero-result search queries:', error);
+    res.status(500).json({ error: 'Failed to fetch zero-result search queries' });
+  }
+}
+
+/**
+ * Queries with a low click-through rate
+ */
+async function getLowCtrQueries(req, res) {
+  try {
+    const options = parseReportOptions(req.query);
+    const queries = await searchAnalyticsService.getLowCtrQueries(options);
+
+    res.json({
+      success: true,
+      days: options.days,
+      minSearches: options.minSearches,
+      queries
+    });
+  } catch (error) {
+    console.error('Error fetching low-CTR search queries:', error);
+    res.status(500).json({ error: 'Failed to fetch low-CTR search queries' });
+  }
+}
+
+/**
+ * Daily search totals, for one query when `query` is given
+ */
+async function getQueryTrends(req, res) {
+  try {
+    const { days } = parseReportOptions(req.query);
+    const trends = await searchAnalyticsService.getQueryTrends({ days, query: req.query.query });
+
+    res.json({
+      success: true,
+      days,
+      query: req.query.query || null,
+      trends
+    });
+  } catch (error) {
+    console.error('Error fetching search trends:', error);
+    res.status(500).json({ error: 'Failed to fetch search trends' });
+  }
+}
+
+export default {
+  trackClick,
+  getTopQueries,
+  getZeroResultQueries,
+  getLowCtrQueries,
+  getQueryTrends
+};
@@ -0,0 +1,36 @@
+import suggestionService from '../services/suggestionService.js';
+
+/**
+ * Search-as-you-type suggestions
+ *
+ * Served from an in-memory prefix index, so it is cheap enough to call on
+ * every keystroke. Returns product name completions, matching brands,
+ * collections and popular past queries.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSuggestions = async (req, res) => {
+  try {
+    const { q = '', limit = 5 } = req.query;
+    const limitNum = Math.min(Math.max(parseInt(limit) || 5, 1), 20);
+
+    const suggestions = await suggestionService.getSuggestions(q, limitNum);
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch search suggestions',
+      message: error.message
+    });
+  }
+};
+
+export default {
+  getSuggestions
+};
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import SearchRule from '../models/SearchRule.js';
+import searchRuleService from '../services/searchRuleService.js';
+
+const EDITABLE_FIELDS = [
+  'name', 'matchType', 'pattern', 'redirect', 'banner',
+  'startsAt', 'endsAt', 'isActive', 'priority'
+];
+
+// Picks editable fields from a request body; fire counts are only set by searches
+const parseRuleBody = (body = {}) => {
+  const rule = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) rule[field] = body[field];
+  });
+  return rule;
+};
+
+/**
+ * List search redirect/banner rules, most fired first when sort=fires
+ */
+async function getRules(req, res) {
+  try {
+    const { active, sort } = req.query;
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    const rules = await SearchRule.find(filter)
+      .sort(sort === 'fires' ? { fireCount: -1, _id: 1 } : { priority: -1, createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Error fetching search rules:', error);
+    res.status(500).json({ error: 'Failed to fetch search rules' });
+  }
+}
+
+/**
+ * Get a search rule by id
+ */
+async function getRule(req, res) {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await SearchRule.findById(req.params.id).lean()
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Search rule not found' });
+    }
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    console.error('Error fetching search rule:', error);
+    res.status(500).json({ error: 'Failed to fetch search rule' });
+  }
+}
+
+/**
+ * Create a search rule
+ */
+async function createRule(req, res) {
+  try {
+    const rule = await SearchRule.create(parseRuleBody(req.body));
+
+    searchRuleService.invalidateRules();
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: 'Invalid search rule', message: error.message });
+    }
+    console.error('Error creating search rule:', error);
+    res.status(500).json({ error: 'Failed to create search rule' });
+  }
+}
+
+/**
+ * Update a search rule by id
+ * Saved through the document so the pattern/action checks run again
+ */
+async function updateRule(req, res) {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await SearchRule.findById(req.params.id)
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Search rule not found' });
+    }
+
+    rule.set(parseRuleBody(req.body));
+    await rule.save();
+
+    searchRuleService.invalidateRules();
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: 'Invalid search rule', message: error.message });
+    }
+    console.error('Error updating search rule:', error);
+    res.status(500).json({ error: 'Failed to update search rule' });
+  }
+}
+
+/**
+ * Delete a search rule by id
+ */
+async function deleteRule(req, res) {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await SearchRule.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Search rule not found' });
+    }
+
+    searchRuleService.invalidateRules();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting search rule:', error);
+    res.status(500).json({ error: 'Failed to delete search rule' });
+  }
+}
+
+export default {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import Synonym from '../models/Synonym.js';
+import searchTermService, { normalizeSearchTerm } from '../services/searchTermService.js';
+
+// Accepts an array or a comma separated string
+const parseSynonymList = (synonyms) => {
+  const list = Array.isArray(synonyms) ? synonyms : String(synonyms || '').split(',');
+  return list.map(normalizeSearchTerm).filter(Boolean);
+};
+
+// 400 for invalid rules and 409 for a term that already has one, null for other errors
+const sendSaveError = (res, error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ error: 'Invalid synonym', message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'Duplicate synonym', message: 'A synonym rule for this term already exists' });
+  }
+  return null;
+};
+
+/**
+ * List synonym rules
+ */
+async function getSynonyms(req, res) {
+  try {
+    const { term } = req.query;
+    const filter = term ? { term: normalizeSearchTerm(term) } : {};
+
+    const synonyms = await Synonym.find(filter).sort({ term: 1 }).lean();
+
+    res.json({
+      success: true,
+      synonyms
+    });
+  } catch (error) {
+    console.error('Error fetching synonyms:', error);
+    res.status(500).json({ error: 'Failed to fetch synonyms' });
+  }
+}
+
+/**
+ * Create or replace the synonym rule for a term
+ */
+async function saveSynonym(req, res) {
+  try {
+    const term = normalizeSearchTerm(req.body.term);
+    const synonyms = parseSynonymList(req.body.synonyms);
+    const { bidirectional = true } = req.body;
+
+    if (!term || synonyms.length === 0) {
+      return res.status(400).json({ error: 'Term and at least one synonym are required' });
+    }
+
+    const synonym = await Synonym.findOneAndUpdate(
+      { term },
+      { term, synonyms, bidirectional: Boolean(bidirectional) },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    searchTermService.invalidateSynonyms();
+
+    res.status(201).json({
+      success: true,
+      synonym
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    console.error('Error saving synonym:', error);
+    res.status(500).json({ error: 'Failed to save synonym' });
+  }
+}
+
+/**
+ * Update a synonym rule by id
+ */
+async function updateSynonym(req, res) {
+  try {
+    const update = {};
+    if (req.body.term !== undefined) update.term = normalizeSearchTerm(req.body.term);
+    if (req.body.synonyms !== undefined) update.synonyms = parseSynonymList(req.body.synonyms);
+    if (req.body.bidirectional !== undefined) update.bidirectional = Boolean(req.body.bidirectional);
+
+    if (update.term === '' || (update.synonyms && update.synonyms.length === 0)) {
+      return res.status(400).json({ error: 'Term and at least one synonym are required' });
+    }
+
+    const synonym = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Synonym.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true })
+      : null;
+
+    if (!synonym) {
+      return res.status(404).json({ error: 'Synonym not found' });
+    }
+
+    searchTermService.invalidateSynonyms();
+
+    res.json({
+      success: true,
+      synonym
+    });
+  } catch (error) {
+    if (sendSaveError(res, error)) return;
+    console.error('Error updating synonym:', error);
+    res.status(500).json({ error: 'Failed to update synonym' });
+  }
+}
+
+/**
+ * Delete a synonym rule by id
+ */
+async function deleteSynonym(req, res) {
+  try {
+    const synonym = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Synonym.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!synonym) {
+      return res.status(404).json({ error: 'Synonym not found' });
+    }
+
+    searchTermService.invalidateSynonyms();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting synonym:', error);
+    res.status(500).json({ error: 'Failed to delete synonym' });
+  }
+}
+
+export default {
+  getSynonyms,
+  saveSynonym,
+  updateSynonym,
+  deleteSynonym
+};
@@ -2,13 +2,15 @@ import UserInteraction from '../models/UserInteraction.js';
 import UserPreference from '../models/UserPreference.js';
 import Product from '../models/Product.js';
 import { embeddingService } from '../services/embeddingService.js';
+import searchAnalyticsService from '../services/searchAnalyticsService.js';
 
 /**
  * Track product view
+ * Views opened from search results pass the `searchId` (and `position`) to count as a click
  */
 async function trackView(req, res) {
   try {
-    const { userId, productId } = req.body;
+    const { userId, productId, searchId, position } = req.body;
     
     if (!userId || !productId) {
       return res.status(400).json({ error: 'User ID and Product ID are required' });
@@ -20,6 +22,12 @@ async function trackView(req, res) {
       productId,
       interactionType: 'view'
     });
+
+    if (searchId) {
+      searchAnalyticsService.recordClick(searchId, { productId, position }).catch(err =>
+        console.error('Error recording search click:', err)
+      );
+    }
     
     // Update user preference vector (async, don't wait)
     updateUserPreferenceVector(userId).catch(err => 
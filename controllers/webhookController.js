@@ -2,6 +2,12 @@ import Product from '../models/Product.js';
 import { transformWebhookProduct } from '../migrations/products/webhookTransform.js';
 import CollectionState from '../models/CollectionState.js';
 import Order from '../models/Order.js';
+import suggestionService from '../services/suggestionService.js';
+import smartCollectionService from '../services/smartCollectionService.js';
+import categoryService from '../services/categoryService.js';
+import collectionOrderService from '../services/collectionOrderService.js';
+import translationService from '../services/translationService.js';
+import { isEvaluable } from '../utils/collectionRules.js';
 
 import { getProductsCollectionsHanls } from '../utils/comman.js';
 
@@ -26,6 +32,18 @@ export const handleProductUpdate = async (req, res) => {
 
     // Transform the product data
     const productData = transformWebhookProduct(shopifyProduct);
+    productData.categoryHandles = categoryService.getProductCategoryHandles(
+      productData,
+      await categoryService.loadCategories()
+    );
+
+    // Storefront translations; the stored ones stay when Shopify can't be reached
+    try {
+      const translations = await translationService.fetchProductTranslations([productData.shopifyId]);
+      productData.translations = translations.get(productData.shopifyId) || {};
+    } catch (error) {
+      console.error('Error fetching product translations:', error.message);
+    }
 
    // const collectionHandles = await getProductsCollectionsHanls(productData.collections);
 
@@ -44,6 +62,13 @@ export const handleProductUpdate = async (req, res) => {
       }
     );
 
+    suggestionService.scheduleSuggestionRefresh();
+
+    // Smart collection membership follows the product's new tags, prices and stock (async, don't wait)
+    smartCollectionService.applyToProduct({ shopifyId: productData.shopifyId }).catch(err =>
+      console.error('Error applying smart collection rules:', err)
+    );
+
     console.log(`Successfully updated product: ${productData.name}`);
     res.status(200).json({ success: true, message: "Successfully updated product" });
 
@@ -58,6 +83,7 @@ export const handleProductDelete = async (req, res) => {
     const productData = req.body;
 
     await Product.findOneAndDelete({ productId: productData.id });
+    suggestionService.scheduleSuggestionRefresh();
 
     res.status(200).json({ success: true, message: 'Product deleted successfully' });
   } catch (error) {
@@ -111,16 +137,41 @@ export const handleCollectionUpdate = async (req, res) => {
   try {
     const collectionData = req.body;
     console.log('Received collection update:', collectionData);
+    const shopifyId = collectionData.admin_graphql_api_id || `gid://shopify/Collection/${collectionData.id}`;
+
+    if (isEvaluable(collectionData)) {
+      // Smart collections are recomputed locally right away (async, don't wait)
+      smartCollectionService.syncSmartCollection({
+        shopifyId,
+        handle: collectionData.handle,
+        title: collectionData.title,
+        rules: collectionData.rules,
+        disjunctive: collectionData.disjunctive
+      })
+        .then(() => collectionOrderService.syncCollectionOrder({
+          shopifyId,
+          handle: collectionData.handle,
+          sortOrder: collectionData.sort_order
+        }))
+        .catch(err => console.error('Error applying smart collection rules:', err));
+    } else {
+      // Custom collections and rules we can't evaluate are re-synced from Shopify by cron/collenctions.js
+      await CollectionState.findOneAndUpdate(
+        { id: collectionData.id },
+        collectionData,
+        {
+          upsert: true,
+          new: true,
+          runValidators: false
+        }
+      );
+    }
 
-    await CollectionState.findOneAndUpdate(
-      { id: collectionData.id },
-      collectionData,
-      {
-        upsert: true,
-        new: true,
-        runValidators: false
-      }
-    );
+    // Titles and descriptions may have been retranslated (async, don't wait)
+    translationService.refreshCollectionTranslations([shopifyId])
+      .catch(err => console.error('Error refreshing collection translations:', err.message));
+
+    suggestionService.scheduleSuggestionRefresh();
 
     res.status(200).json({ message: 'Collection data processed successfully' });
   } catch (error) {
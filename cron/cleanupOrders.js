@@ -1,5 +1,6 @@
 import cron from 'node-cron';
 import Order from '../models/Order.js';
+import { archiveOrderSales } from './salesRanking.js';
 
 
 
@@ -10,6 +11,9 @@ const cleanupOldOrders = async () => {
         const threeMonthsAgo = new Date();
         threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 36);
 
+        // Keep deleted quantities in the all-time sales counter
+        await archiveOrderSales(threeMonthsAgo);
+
         const result = await Order.deleteMany({
             createdAt: { $lt: threeMonthsAgo }
         });
@@ -8,6 +8,8 @@ import CollectionState from '../models/CollectionState.js';
 import SyncState from '../models/SyncState.js'; // New model for storing sync state
 import { productsQuery } from '../graphql/queries/products.js';
 import processBatch from '../migrations/products/processBatch.js';
+import collectionOrderService from '../services/collectionOrderService.js';
+import smartCollectionService from '../services/smartCollectionService.js';
 
 import Product from '../models/Product.js';
 
@@ -150,26 +152,45 @@ async function processCollections() {
       //     console.log(`Added new collection: ${collection.handle}`);
       //   }
 
-         // remove Collection handle from the product
-        await Product.updateMany(
-          {
-            $or: [
-              { collection_handle: collection.handle },
-              { collections: collection.title }
-                ]
-              },
-              {
-                $pull: {
-                  collection_handle: collection.handle,
-                  collections: collection.title
-                }
+        const shopifyId = collection.admin_graphql_api_id || `gid://shopify/Collection/${collection.id}`;
+        const smartCollection = {
+          shopifyId,
+          handle: collection.handle,
+          title: collection.title,
+          rules: collection.rules.map(({ column, relation, condition }) => ({ column, relation, condition })),
+          disjunctive: collection.disjunctive
+        };
+
+        // Smart collection rules are evaluated against stored products, no Shopify paging needed
+        if (await smartCollectionService.syncSmartCollection(smartCollection)) {
+          await CollectionState.deleteOne({ id: collection.id });
+        } else {
+          // remove Collection handle from the product
+          await Product.updateMany(
+            {
+              $or: [
+                { collection_handle: collection.handle },
+                { collections: collection.title }
+              ]
+            },
+            {
+              $pull: {
+                collection_handle: collection.handle,
+                collections: collection.title
               }
-            )
+            }
+          );
 
-        
+          // Sync products for this collection
+          await syncProductsForCollection(collection.id);
+        }
 
-        // Sync products for this collection
-        await syncProductsForCollection(collection.id);
+        // Default listing order, and manual positions once the products are in place
+        await collectionOrderService.syncCollectionOrder({
+          shopifyId,
+          handle: collection.handle,
+          sortOrder: collection.sort_order
+        });
       } catch (error) {
         console.error(`Failed to sync products for collection ${collection.id}:`, error);
         // Continue with next collection instead of stopping everything
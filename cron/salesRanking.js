@@ -0,0 +1,120 @@
+import cron from 'node-cron';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+/**
+ * Pre-aggregated best-seller counters
+ *
+ * Sums order quantities per product for rolling 7/30/90-day windows and for
+ * all time, so best-seller sorts read indexed fields instead of looking up
+ * orders on every request. Orders deleted by the order cleanup job
+ * (cron/cleanupOrders.js) are first added to `archivedSales`, and `sales` is
+ * that total plus the orders still stored.
+ */
+
+const SALES_WINDOWS = {
+  sales7d: 7,
+  sales30d: 30,
+  sales90d: 90
+};
+
+const BULK_WRITE_SIZE = 1000;
+
+const emptyWindows = () => Object.fromEntries(Object.keys(SALES_WINDOWS).map(field => [field, 0]));
+
+const archivedSales = { $ifNull: ['$archivedSales', 0] };
+
+/**
+ * Recompute the sales counters of every product from the orders collection
+ * @returns {Promise<Object>} Number of products with sales and of counters reset
+ */
+const refreshSalesCounters = async () => {
+  const now = new Date();
+  const windowSums = Object.fromEntries(Object.entries(SALES_WINDOWS).map(([field, days]) => {
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    return [field, { $sum: { $cond: [{ $gte: ['$createdAt', since] }, '$quantity', 0] } }];
+  }));
+
+  const totals = await Order.aggregate([
+    {
+      $group: {
+        _id: '$product_id',
+        sales: { $sum: '$quantity' },
+        ...windowSums
+      }
+    }
+  ]).option({ allowDiskUse: true });
+
+  for (let i = 0; i < totals.length; i += BULK_WRITE_SIZE) {
+    const operations = totals.slice(i, i + BULK_WRITE_SIZE).map(({ _id, sales, ...windows }) => ({
+      updateOne: {
+        filter: { productId: _id },
+        update: [{ $set: { ...windows, sales: { $add: [archivedSales, sales] }, salesUpdatedAt: now } }]
+      }
+    }));
+    await Product.bulkWrite(operations, { ordered: false });
+  }
+
+  // Products not touched above have no orders left, only their archived sales
+  const reset = await Product.updateMany(
+    {
+      salesUpdatedAt: { $ne: now },
+      $or: [
+        ...Object.keys(SALES_WINDOWS).map(field => ({ [field]: { $gt: 0 } })),
+        { $expr: { $ne: ['$sales', archivedSales] } }
+      ]
+    },
+    [{ $set: { ...emptyWindows(), sales: archivedSales, salesUpdatedAt: now } }]
+  );
+
+  console.log(`Sales counters refreshed for ${totals.length} products, ${reset.modifiedCount} reset`);
+  return { updated: totals.length, reset: reset.modifiedCount };
+};
+
+/**
+ * Add the quantities of orders about to be deleted to each product's `archivedSales`
+ * Call right before deleting the same orders so all-time `sales` keeps counting them
+ * @param {Date} before - Orders created before this date
+ * @returns {Promise<number>} Number of products updated
+ */
+const archiveOrderSales = async (before) => {
+  const totals = await Order.aggregate([
+    { $match: { createdAt: { $lt: before } } },
+    { $group: { _id: '$product_id', quantity: { $sum: '$quantity' } } }
+  ]).option({ allowDiskUse: true });
+
+  for (let i = 0; i < totals.length; i += BULK_WRITE_SIZE) {
+    const operations = totals.slice(i, i + BULK_WRITE_SIZE).map(({ _id, quantity }) => ({
+      updateOne: {
+        filter: { productId: _id },
+        update: { $inc: { archivedSales: quantity } }
+      }
+    }));
+    await Product.bulkWrite(operations, { ordered: false });
+  }
+
+  return totals.length;
+};
+
+// Refresh hourly; orders sync daily, so this mostly rolls the windows forward
+export const startSalesRankingJob = () => {
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await refreshSalesCounters();
+    } catch (error) {
+      console.error('Sales ranking job error:', error);
+    }
+  });
+  console.log('Sales ranking job scheduled hourly');
+};
+
+// Optional: Run once immediately on startup
+export const runSalesRankingOnce = async () => {
+  try {
+    await refreshSalesCounters();
+  } catch (error) {
+    console.error('One-time sales ranking error:', error);
+  }
+};
+
+export { refreshSalesCounters, archiveOrderSales };
@@ -0,0 +1,32 @@
+import cron from 'node-cron';
+import searchAnalyticsService from '../services/searchAnalyticsService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Roll today's and yesterday's search logs up into SearchQueryDaily
+ * Yesterday is redone so clicks arriving after midnight still count
+ * @returns {Promise<Object>} Number of queries rolled up per day
+ */
+const rollupSearchLogs = async () => {
+  const now = new Date();
+  const yesterday = await searchAnalyticsService.rollupDay(new Date(now.getTime() - DAY_MS));
+  const today = await searchAnalyticsService.rollupDay(now);
+
+  console.log(`Search analytics rolled up: ${yesterday} queries yesterday, ${today} today`);
+  return { yesterday, today };
+};
+
+// Roll up hourly so reports lag the raw log by at most an hour
+export const startSearchAnalyticsJob = () => {
+  cron.schedule('5 * * * *', async () => {
+    try {
+      await rollupSearchLogs();
+    } catch (error) {
+      console.error('Search analytics job error:', error);
+    }
+  });
+  console.log('Search analytics rollup job scheduled hourly');
+};
+
+export { rollupSearchLogs };
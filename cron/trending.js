@@ -0,0 +1,141 @@
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import UserInteraction from '../models/UserInteraction.js';
+
+/**
+ * Trending score
+ *
+ * Compares each product's activity over the last 7 days with its own daily
+ * baseline over the 28 days before that. Activity weighs order quantity above
+ * likes and likes above views. The score is
+ *
+ *   log(1 + recent activity) * (recent daily rate + 1) / (baseline daily rate + 1)
+ *
+ * so steady sellers score on volume alone while products that are accelerating,
+ * including new ones without a baseline, climb quickly. The +1 smoothing keeps a
+ * handful of views from looking like a spike.
+ */
+
+const RECENT_DAYS = 7;
+const BASELINE_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BULK_WRITE_SIZE = 1000;
+
+const ACTIVITY_WEIGHTS = {
+  order: 3,
+  like: 2,
+  view: 1
+};
+
+// Sum weighted activity per key into recent/baseline buckets
+const addActivity = (activity, key, { recent = 0, baseline = 0 }, weight) => {
+  const entry = activity.get(key) || { recent: 0, baseline: 0 };
+  entry.recent += recent * weight;
+  entry.baseline += baseline * weight;
+  activity.set(key, entry);
+};
+
+const windowSums = (dateField, valueField, recentSince) => ({
+  recent: { $sum: { $cond: [{ $gte: [dateField, recentSince] }, valueField, 0] } },
+  baseline: { $sum: { $cond: [{ $lt: [dateField, recentSince] }, valueField, 0] } }
+});
+
+const calculateTrendingScore = ({ recent, baseline }) => {
+  const acceleration = (recent / RECENT_DAYS + 1) / (baseline / BASELINE_DAYS + 1);
+  return Math.round(Math.log1p(recent) * acceleration * 10000) / 10000;
+};
+
+/**
+ * Recompute and store the trending score of every product with recent activity
+ * @returns {Promise<Object>} Number of products scored and of scores reset
+ */
+const refreshTrendingScores = async () => {
+  const now = new Date();
+  const recentSince = new Date(now.getTime() - RECENT_DAYS * DAY_MS);
+  const baselineSince = new Date(recentSince.getTime() - BASELINE_DAYS * DAY_MS);
+
+  const [orders, interactions] = await Promise.all([
+    // Orders reference products by Shopify productId
+    Order.aggregate([
+      { $match: { createdAt: { $gte: baselineSince } } },
+      { $group: { _id: '$product_id', ...windowSums('$createdAt', '$quantity', recentSince) } }
+    ]).option({ allowDiskUse: true }),
+    // Interactions reference products by document _id
+    UserInteraction.aggregate([
+      { $match: { interactionType: { $in: ['view', 'like'] }, timestamp: { $gte: baselineSince } } },
+      {
+        $group: {
+          _id: { productId: '$productId', type: '$interactionType' },
+          ...windowSums('$timestamp', 1, recentSince)
+        }
+      }
+    ]).option({ allowDiskUse: true })
+  ]);
+
+  const activityByProductId = new Map();
+  orders.forEach(({ _id, ...counts }) => addActivity(activityByProductId, _id, counts, ACTIVITY_WEIGHTS.order));
+
+  const activityByObjectId = new Map();
+  interactions.forEach(({ _id, ...counts }) => {
+    if (mongoose.Types.ObjectId.isValid(_id.productId)) {
+      addActivity(activityByObjectId, _id.productId, counts, ACTIVITY_WEIGHTS[_id.type]);
+    }
+  });
+
+  // Resolve order activity onto document ids so both sources add up per product
+  const ordered = await Product.find(
+    { productId: { $in: Array.from(activityByProductId.keys()) } },
+    { productId: 1 }
+  ).lean();
+  ordered.forEach(({ _id, productId }) => {
+    addActivity(activityByObjectId, _id.toString(), activityByProductId.get(productId), 1);
+  });
+
+  const scores = Array.from(activityByObjectId.entries())
+    .filter(([, activity]) => activity.recent > 0)
+    .map(([id, activity]) => ({ id, trendingScore: calculateTrendingScore(activity) }));
+
+  for (let i = 0; i < scores.length; i += BULK_WRITE_SIZE) {
+    const operations = scores.slice(i, i + BULK_WRITE_SIZE).map(({ id, trendingScore }) => ({
+      updateOne: {
+        filter: { _id: new mongoose.Types.ObjectId(id) },
+        update: { $set: { trendingScore, trendingUpdatedAt: now } }
+      }
+    }));
+    await Product.bulkWrite(operations, { ordered: false });
+  }
+
+  // Products not scored above had no activity in the recent window
+  const reset = await Product.updateMany(
+    { trendingUpdatedAt: { $ne: now }, trendingScore: { $gt: 0 } },
+    { $set: { trendingScore: 0, trendingUpdatedAt: now } }
+  );
+
+  console.log(`Trending scores refreshed for ${scores.length} products, ${reset.modifiedCount} reset`);
+  return { scored: scores.length, reset: reset.modifiedCount };
+};
+
+// Refresh hourly, offset from the sales ranking job
+export const startTrendingJob = () => {
+  cron.schedule('45 * * * *', async () => {
+    try {
+      await refreshTrendingScores();
+    } catch (error) {
+      console.error('Trending job error:', error);
+    }
+  });
+  console.log('Trending job scheduled hourly');
+};
+
+// Optional: Run once immediately on startup
+export const runTrendingOnce = async () => {
+  try {
+    await refreshTrendingScores();
+  } catch (error) {
+    console.error('One-time trending error:', error);
+  }
+};
+
+export { refreshTrendingScores, calculateTrendingScore };
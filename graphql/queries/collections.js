@@ -14,6 +14,15 @@ export const collectionsQuery = `
         handle
         description
         descriptionHtml
+        sortOrder
+        ruleSet {
+          appliedDisjunctively
+          rules {
+            column
+            relation
+            condition
+          }
+        }
         updatedAt
         image {
           url
@@ -44,6 +53,15 @@ export const collectionsQueryUpdate = `
         handle
         description
         descriptionHtml
+        sortOrder
+        ruleSet {
+          appliedDisjunctively
+          rules {
+            column
+            relation
+            condition
+          }
+        }
         updatedAt
         image {
           url
@@ -96,6 +114,20 @@ export const collectionsQueryUpdate = `
                 price
                 compareAtPrice
                 inventoryQuantity
+                presentmentPrices(first: 10) {
+                  edges {
+                    node {
+                      price {
+                        amount
+                        currencyCode
+                      }
+                      compareAtPrice {
+                        amount
+                        currencyCode
+                      }
+                    }
+                  }
+                }
                 selectedOptions {
                   name
                   value
@@ -137,6 +169,24 @@ export const collectionsQueryUpdate = `
   }
 `;
 
-
-
-
+// Products of a manual collection in the order arranged in the admin
+export const collectionPositionsQuery = `
+  query CollectionPositions($id: ID!, $cursor: String) {
+    collection(id: $id) {
+      id
+      handle
+      sortOrder
+      products(first: 250, after: $cursor, sortKey: MANUAL) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            id
+          }
+        }
+      }
+    }
+  }
+`;
@@ -32,6 +32,20 @@ export const productsQuery = gql`
                 price
                 compareAtPrice
                 inventoryQuantity
+                presentmentPrices(first: 10) {
+                  edges {
+                    node {
+                      price {
+                        amount
+                        currencyCode
+                      }
+                      compareAtPrice {
+                        amount
+                        currencyCode
+                      }
+                    }
+                  }
+                }
                 selectedOptions {
                   name
                   value
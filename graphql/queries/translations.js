@@ -0,0 +1,18 @@
+import { gql } from 'graphql-request';
+
+// Translations of products or collections in one locale
+export const translationsQuery = gql`
+  query fetchTranslations($resourceIds: [ID!]!, $locale: String!) {
+    translatableResourcesByIds(first: 250, resourceIds: $resourceIds) {
+      edges {
+        node {
+          resourceId
+          translations(locale: $locale) {
+            key
+            value
+          }
+        }
+      }
+    }
+  }
+`;
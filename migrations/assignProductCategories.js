@@ -0,0 +1,24 @@
+import 'dotenv/config';
+import connectDB from '../config/database.js';
+import categoryService from '../services/categoryService.js';
+
+// Initialize MongoDB connection
+await connectDB();
+
+/**
+ * Assign category tree handles to products synced before the tree existed
+ */
+async function assignProductCategories() {
+  console.log('Starting product category assignment...');
+
+  const changed = await categoryService.assignProductCategories();
+
+  console.log(`Category assignment completed. Products updated: ${changed}`);
+  process.exit(0);
+}
+
+// Run migration
+assignProductCategories().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
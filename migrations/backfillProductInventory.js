@@ -0,0 +1,24 @@
+import 'dotenv/config';
+import connectDB from '../config/database.js';
+import Product from '../models/Product.js';
+
+// Initialize MongoDB connection
+await connectDB();
+
+/**
+ * Persist stock and discount totals for products synced before those fields existed
+ */
+async function backfillProductInventory() {
+  console.log('Starting product inventory backfill...');
+
+  const result = await Product.syncVariantTotals();
+
+  console.log(`Inventory backfill completed. Products updated: ${result.modifiedCount}`);
+  process.exit(0);
+}
+
+// Run migration
+backfillProductInventory().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -5,6 +5,9 @@ import { collectionsQuery } from '../graphql/queries/collections.js';
 import MigrationState from '../models/MigrationState.js';
 import Collection from '../models/Collection.js';
 import Product from '../models/Product.js';
+import translationService from '../services/translationService.js';
+import collectionOrderService from '../services/collectionOrderService.js';
+import { normalizeRule } from '../utils/collectionRules.js';
 
 // Initialize MongoDB connection
 await connectDB();
@@ -46,6 +49,16 @@ async function updateCursorState(cursor, totalProcessed) {
  */
 async function processBatch(collections) {
   try {
+    // Storefront translations; collections keep their stored ones when Shopify can't be reached
+    let translations = null;
+    try {
+      translations = await translationService.fetchCollectionTranslations(
+        collections.map(collection => collection.id)
+      );
+    } catch (error) {
+      console.error('Error fetching collection translations:', error.message);
+    }
+
     for (const collection of collections) {
       // Get product IDs from Shopify
       const productIds = collection.products?.edges?.map(edge => edge.node.id) || [];
@@ -60,6 +73,9 @@ async function processBatch(collections) {
         handle: collection.handle,
         description: collection.description,
         descriptionHtml: collection.descriptionHtml,
+        sortOrder: collectionOrderService.normalizeSortOrder(collection.sortOrder),
+        rules: (collection.ruleSet?.rules || []).map(normalizeRule),
+        disjunctive: Boolean(collection.ruleSet?.appliedDisjunctively),
         updatedAt: collection.updatedAt,
         publishedAt: collection.publishedAt,
         productCount: productObjectIds.length,
@@ -71,6 +87,7 @@ async function processBatch(collections) {
           height: collection.image.height
         } : null
       };
+      if (translations) collectionData.translations = translations.get(collection.id) || {};
 
       // Update collection
       const updatedCollection = await Collection.findOneAndUpdate(
@@ -85,6 +102,13 @@ async function processBatch(collections) {
         { $addToSet: { collections: collection.id } }
       );
 
+      // Manual collections list products in the order arranged in the admin
+      await collectionOrderService.syncCollectionOrder({
+        shopifyId: collection.id,
+        handle: collection.handle,
+        sortOrder: collection.sortOrder
+      });
+
       console.log(`Processed collection: ${collection.title} with ${productObjectIds.length} products`);
     }
   } catch (error) {
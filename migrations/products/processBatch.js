@@ -4,16 +4,31 @@ import * as embeddingService from '../../services/embeddingService.js';
 import * as vectorService from '../../services/vectorService.js';
 import { transformProduct } from './transformProduct.js';
 import { getProductsCollectionsHanls } from '../../utils/comman.js';
+import suggestionService from '../../services/suggestionService.js';
+import translationService from '../../services/translationService.js';
+import categoryService from '../../services/categoryService.js';
 
 async function processBatch(products) {
   console.log(`Processing batch of ${products.length} products...`);
   
+  // Storefront translations; products keep their stored ones when Shopify can't be reached
+  let translations = null;
+  try {
+    translations = await translationService.fetchProductTranslations(products.map(product => product.id));
+  } catch (error) {
+    console.error('Error fetching product translations:', error.message);
+  }
   
-  
+  const categories = await categoryService.loadCategories();
+
   for (const shopifyProduct of products) {
     try {
       // Transform Shopify product to our schema
       const productData = transformProduct(shopifyProduct);
+      if (translations) {
+        productData.translations = translations.get(shopifyProduct.id) || {};
+      }
+      productData.categoryHandles = categoryService.getProductCategoryHandles(productData, categories);
       console.log('Transformed Product Data:', productData);
       // Save or update product in MongoDB
       const product = await Product.findOneAndUpdate(
@@ -73,6 +88,9 @@ async function processBatch(products) {
       });
     }
   }
+
+  // Pick up new and renamed products in search suggestions
+  suggestionService.scheduleSuggestionRefresh();
 }
 
 export default processBatch; 
\ No newline at end of file
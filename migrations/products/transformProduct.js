@@ -53,6 +53,76 @@ function extractAttributes(product) {
   return attributes;
 }
 
+/**
+ * Variant attribute an option name maps to ("Colour" -> color), or null
+ */
+function getOptionAttribute(name) {
+  const optionName = (name || '').toLowerCase();
+  if (optionName.includes('color') || optionName.includes('colour')) return 'color';
+  if (optionName.includes('size')) return 'size';
+  if (optionName.includes('material') || optionName.includes('fabric')) return 'material';
+  return null;
+}
+
+/**
+ * Map a variant's selected options onto its queryable attributes
+ * @param {Array} selectedOptions - [{ name, value }]
+ * @returns {Object} { color, size, material } for the options present
+ */
+function getVariantAttributes(selectedOptions = []) {
+  return selectedOptions.reduce((acc, { name, value }) => {
+    const attribute = getOptionAttribute(name);
+    if (attribute && value) {
+      acc[attribute] = String(value).trim();
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Stock totals persisted on the product for filtering and sorting
+ * @param {Array} variants - Transformed variants
+ * @returns {Object} { totalInventory, inStock }
+ */
+function getInventoryTotals(variants = []) {
+  // Oversold variants report negative quantities; they add nothing to stock
+  const totalInventory = variants.reduce((total, variant) => total + Math.max(variant.inventory || 0, 0), 0);
+  return { totalInventory, inStock: totalInventory > 0 };
+}
+
+/**
+ * Largest discount off compareAtPrice among in-stock variants
+ * @param {Array} variants - Transformed variants
+ * @returns {number} Discount percent (0-100, two decimals), 0 when nothing is on sale
+ */
+function getMaxDiscount(variants = []) {
+  return variants.reduce((max, variant) => {
+    if (!(variant.inventory > 0) || !(variant.compareAtPrice > variant.price)) return max;
+    const discount = Math.round(((variant.compareAtPrice - variant.price) / variant.compareAtPrice) * 10000) / 100;
+    return Math.max(max, discount);
+  }, 0);
+}
+
+/**
+ * Prices per Shopify Markets currency, keyed by currency code
+ * @param {Array} pricePairs - [{ price: { amount, currencyCode }, compareAtPrice }] from GraphQL or webhooks
+ * @returns {Object} { USD: { price, compareAtPrice }, ... }
+ */
+function getPresentmentPrices(pricePairs = []) {
+  // GraphQL pairs use camelCase, webhook `presentment_prices` snake_case
+  return pricePairs.reduce((acc, { price, compareAtPrice, compare_at_price: compareAtPriceRest }) => {
+    const currency = price?.currencyCode || price?.currency_code;
+    const amount = parseFloat(price?.amount);
+    if (currency && !isNaN(amount)) {
+      acc[currency.toUpperCase()] = {
+        price: amount,
+        compareAtPrice: parseFloat((compareAtPrice || compareAtPriceRest)?.amount) || null
+      };
+    }
+    return acc;
+  }, {});
+}
+
 /**
  * Transform Shopify product to match our Product model schema
  */
@@ -67,12 +137,11 @@ function transformProduct(shopifyProduct) {
     variantId: node.id,
     title: node.title,
     price: parseFloat(node.price),
+    compareAtPrice: parseFloat(node.compareAtPrice) || null,
     sku: node.sku || '',
     inventory: node.inventoryQuantity || 0,
-    attributes: node.selectedOptions.reduce((acc, opt) => {
-      acc[opt.name.toLowerCase()] = opt.value;
-      return acc;
-    }, {})
+    presentmentPrices: getPresentmentPrices(node.presentmentPrices?.edges.map(({ node: pair }) => pair)),
+    attributes: getVariantAttributes(node.selectedOptions)
   }));
 
   // Extract structured tags
@@ -120,6 +189,7 @@ function transformProduct(shopifyProduct) {
     description: shopifyProduct.description || '',
     price: parseFloat(shopifyProduct.variants.edges[0]?.node.price) || 0,
     compareAtPrice: parseFloat(shopifyProduct.variants.edges[0]?.node.compareAtPrice) || null,
+    presentmentPrices: variants[0]?.presentmentPrices || {},
     categories: shopifyProduct.productType ? [shopifyProduct.productType] : [],
     tags: Array.isArray(shopifyProduct.tags) ? shopifyProduct.tags : [],
     structuredTags: structuredTags,
@@ -144,6 +214,8 @@ function transformProduct(shopifyProduct) {
     },
     
     variants: variants,
+    ...getInventoryTotals(variants),
+    maxDiscount: getMaxDiscount(variants),
     
     images: shopifyProduct.images.edges.map(({ node }) => ({
       url: node.url,
@@ -177,5 +249,9 @@ function transformProduct(shopifyProduct) {
 
 export {
   transformProduct,
-  extractAttributes
+  extractAttributes,
+  getVariantAttributes,
+  getInventoryTotals,
+  getMaxDiscount,
+  getPresentmentPrices
 }; 
\ No newline at end of file
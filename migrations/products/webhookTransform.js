@@ -1,3 +1,5 @@
+import { getInventoryTotals, getMaxDiscount, getPresentmentPrices, getVariantAttributes } from './transformProduct.js';
+
 /**
  * Transform Shopify webhook product data to match our Product model schema
  */
@@ -12,17 +14,20 @@ export function transformWebhookProduct(webhookProduct) {
     }
   });
 
-  // Transform variants
+  // Transform variants; option1..option3 follow the position of the product options
+  const options = webhookProduct.options || [];
   const variants = webhookProduct.variants.map(variant => ({
     variantId: variant.admin_graphql_api_id,
     title: variant.title,
     price: parseFloat(variant.price),
+    compareAtPrice: parseFloat(variant.compare_at_price) || null,
     sku: variant.sku || '',
     inventory: variant.inventory_quantity || 0,
-    attributes: {
-      size: variant.option1,
-      color: variant.option2,
-    }
+    presentmentPrices: getPresentmentPrices(variant.presentment_prices),
+    attributes: getVariantAttributes(options.map((option, i) => ({
+      name: option.name,
+      value: variant[`option${option.position || i + 1}`]
+    })))
   }));
 
   // Extract attributes from tags and product data
@@ -77,6 +82,7 @@ export function transformWebhookProduct(webhookProduct) {
     description: webhookProduct.body_html || '',
     price: parseFloat(webhookProduct.variants[0]?.price) || 0,
     compareAtPrice: parseFloat(webhookProduct.variants[0]?.compare_at_price) || null,
+    presentmentPrices: variants[0]?.presentmentPrices || {},
     categories: webhookProduct.product_type ? [webhookProduct.product_type] : [],
     tags: tags,
     structuredTags: Object.fromEntries(structuredTags),
@@ -99,6 +105,8 @@ export function transformWebhookProduct(webhookProduct) {
     },
     
     variants: variants,
+    ...getInventoryTotals(variants),
+    maxDiscount: getMaxDiscount(variants),
     images: images,
     imageUrl: webhookProduct.image?.src || '',
     productUrl: productUrl,
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import slugify from 'slugify';
+
+// Metafield or tag attribute stored on products, e.g. { key: 'gender', value: 'women' }
+const attributeMatchSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Used by the `category` filter and in breadcrumbs; derived from the name when empty
+  handle: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Null for top-level categories
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true
+  },
+  // Order among siblings
+  position: {
+    type: Number,
+    default: 0
+  },
+  // A product matches when any condition does (case-insensitive); categories without
+  // conditions only group their subcategories (see services/categoryService.js)
+  match: {
+    productTypes: [String],
+    tags: [String],
+    attributes: [attributeMatchSchema]
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.pre('validate', function (next) {
+  if (!this.handle && this.name) {
+    this.handle = slugify(this.name, { lower: true, strict: true });
+  }
+  if (this.parent && this.parent.equals(this._id)) {
+    this.invalidate('parent', 'A category cannot be its own parent');
+  }
+  next();
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
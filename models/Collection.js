@@ -1,5 +1,12 @@
 import mongoose from 'mongoose';
 
+// Collection content in one storefront locale, synced from Shopify translations
+const collectionTranslationSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  descriptionHtml: String
+}, { _id: false });
+
 const collectionSchema = new mongoose.Schema({
   shopifyId: {
     type: String,
@@ -16,6 +23,24 @@ const collectionSchema = new mongoose.Schema({
   },
   description: String,
   descriptionHtml: String,
+  // Shopify sort order, e.g. manual, best-selling, price-asc (see services/collectionOrderService.js)
+  sortOrder: String,
+  // Smart collection rules, empty for custom collections (see utils/collectionRules.js)
+  rules: [{
+    _id: false,
+    column: String,
+    relation: String,
+    condition: String
+  }],
+  disjunctive: {
+    type: Boolean,
+    default: false
+  },
+  // Per locale code; missing fields fall back to the default language
+  translations: {
+    type: Map,
+    of: collectionTranslationSchema
+  },
   updatedAt: Date,
   publishedAt: Date,
   productCount: {
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { FILTER_FIELDS } from '../utils/filterExpression.js';
+
+// Boost or bury every product whose field matches the value (case-insensitive)
+const attributeRuleSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    enum: Object.keys(FILTER_FIELDS)
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0
+  }
+}, { _id: false });
+
+const pinSchema = new mongoose.Schema({
+  // Handle or productId of the pinned product
+  product: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // 1-based position in the listing
+  position: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+const merchandisingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // A rule targets either a collection or a search term
+  collectionHandle: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  // Normalized search term
+  searchTerm: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  pins: [pinSchema],
+  boosts: [attributeRuleSchema],
+  buries: [attributeRuleSchema],
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  // Higher priority rules win pin position conflicts
+  priority: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+merchandisingRuleSchema.pre('validate', function (next) {
+  if (!this.collectionHandle === !this.searchTerm) {
+    this.invalidate('collectionHandle', 'A rule needs exactly one of collectionHandle or searchTerm');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+const MerchandisingRule = mongoose.model('MerchandisingRule', merchandisingRuleSchema);
+
+export default MerchandisingRule;
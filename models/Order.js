@@ -24,6 +24,12 @@ const orderSchema = new mongoose.Schema({
     },
 });
 
+// Windowed sales aggregations scan recent orders
+orderSchema.index({ createdAt: -1 });
+// Frequently-bought-together lookups
+orderSchema.index({ product_id: 1, createdAt: -1 });
+orderSchema.index({ order_id: 1 });
+
 // Update the updatedAt timestamp before saving
 orderSchema.pre('save', function(next) {
     this.updatedAt = new Date();
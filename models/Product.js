@@ -1,5 +1,26 @@
 import mongoose from "mongoose";
 import slugify from "slugify";
+import currencyConfig from "../config/currency.js";
+
+// Product content in one storefront locale, synced from Shopify translations
+const ProductTranslationSchema = new mongoose.Schema({
+  name: String,
+  description: String,
+  tags: [String],
+  productType: String
+}, { _id: false });
+
+// Price in one Shopify Markets currency
+const PresentmentPriceSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    min: 0
+  },
+  compareAtPrice: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
 
 const ProductSchema = new mongoose.Schema({
   productId: {
@@ -39,10 +60,20 @@ const ProductSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  // First variant's price per presentment currency code, for currency-aware filters and sorts
+  presentmentPrices: {
+    type: Map,
+    of: PresentmentPriceSchema
+  },
   categories: {
     type: [String],
     index: true
   },
+  // Category tree handles, ancestors included (see services/categoryService.js)
+  categoryHandles: {
+    type: [String],
+    index: true
+  },
   tags: {
     type: [String],
     index: true
@@ -68,6 +99,16 @@ const ProductSchema = new mongoose.Schema({
     type: [String],
     index: true
   },
+  // 0-based position per manual collection handle, as arranged in the Shopify admin
+  collectionPositions: {
+    type: Map,
+    of: Number
+  },
+  // Per locale code; missing fields fall back to the default language (see utils/locale.js)
+  translations: {
+    type: Map,
+    of: ProductTranslationSchema
+  },
   attributes: {
     color: {
       type: String,
@@ -121,12 +162,21 @@ const ProductSchema = new mongoose.Schema({
         type: Number,
         min: 0
       },
+      compareAtPrice: {
+        type: Number,
+        min: 0
+      },
       sku: String,
+      presentmentPrices: {
+        type: Map,
+        of: PresentmentPriceSchema
+      },
       inventory: {
         type: Number,
         min: 0,
         default: 0
       },
+      // Normalized from the variant's selected options, see getVariantAttributes
       attributes: {
         color: String,
         size: String,
@@ -134,6 +184,23 @@ const ProductSchema = new mongoose.Schema({
       },
     },
   ],
+  // Sum of variant inventory, kept in sync by processBatch and the product webhook
+  totalInventory: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+  inStock: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  // Largest percent off compareAtPrice among in-stock variants, 0 when not on sale
+  maxDiscount: {
+    type: Number,
+    default: 0,
+    index: true
+  },
   images: [
     {
       url: {
@@ -163,11 +230,36 @@ const ProductSchema = new mongoose.Schema({
     default: 0,
     index: true
   },
+  // Order quantities, refreshed by the sales ranking job (cron/salesRanking.js)
   sales: {
     type: Number,
     default: 0,
     index: true
   },
+  sales7d: {
+    type: Number,
+    default: 0
+  },
+  sales30d: {
+    type: Number,
+    default: 0
+  },
+  sales90d: {
+    type: Number,
+    default: 0
+  },
+  // Quantities of orders deleted by the order cleanup job, included in `sales`
+  archivedSales: {
+    type: Number,
+    default: 0
+  },
+  salesUpdatedAt: Date,
+  // Sales and engagement acceleration, refreshed by the trending job (cron/trending.js)
+  trendingScore: {
+    type: Number,
+    default: 0
+  },
+  trendingUpdatedAt: Date,
   viewCount: {
     type: Number,
     default: 0
@@ -259,6 +351,30 @@ ProductSchema.index({
   createdAt: -1
 }, { name: 'best_seller', background: true });
 
+ProductSchema.index({ 
+  isAvailable: 1,
+  sales7d: -1,
+  createdAt: -1
+}, { name: 'best_seller_7d', background: true });
+
+ProductSchema.index({ 
+  isAvailable: 1,
+  sales30d: -1,
+  createdAt: -1
+}, { name: 'best_seller_30d', background: true });
+
+ProductSchema.index({ 
+  isAvailable: 1,
+  sales90d: -1,
+  createdAt: -1
+}, { name: 'best_seller_90d', background: true });
+
+ProductSchema.index({ 
+  isAvailable: 1,
+  trendingScore: -1,
+  createdAt: -1
+}, { name: 'trending', background: true });
+
 ProductSchema.index({ 
   isAvailable: 1,
   featured: -1,
@@ -321,9 +437,54 @@ ProductSchema.index({
   createdAt: -1
 }, { name: 'product_type_group_filter', background: true });
 
+// 10. Variant stock filtering (size/color filters only match in-stock variants)
+ProductSchema.index({
+  isAvailable: 1,
+  'variants.attributes.size': 1,
+  'variants.inventory': 1
+}, { name: 'variant_size_stock', background: true });
+
+ProductSchema.index({
+  isAvailable: 1,
+  'variants.attributes.color': 1,
+  'variants.inventory': 1
+}, { name: 'variant_color_stock', background: true });
+
+// 11. Stock filtering and sorting
+ProductSchema.index({
+  isAvailable: 1,
+  inStock: -1,
+  totalInventory: -1
+}, { name: 'stock_sort', background: true });
+
+// 12. Sale filtering and discount sorting
+ProductSchema.index({
+  isAvailable: 1,
+  maxDiscount: -1
+}, { name: 'discount_sort', background: true });
+
+// 13. Price filtering and sorting per presentment currency
+currencyConfig.presentmentCurrencies
+  .filter(currency => currency !== currencyConfig.baseCurrency)
+  .forEach(currency => {
+    ProductSchema.index({
+      isAvailable: 1,
+      [`presentmentPrices.${currency}.price`]: 1
+    }, { name: `price_${currency.toLowerCase()}`, background: true });
+  });
+
 // Pre-save middleware
 ProductSchema.pre('save', function (next) {
   this.updatedAt = new Date();
+
+  if (this.isModified('variants')) {
+    this.totalInventory = (this.variants || []).reduce((total, variant) => total + Math.max(variant.inventory || 0, 0), 0);
+    this.inStock = this.totalInventory > 0;
+    this.maxDiscount = (this.variants || []).reduce((max, variant) => {
+      if (!(variant.inventory > 0) || !(variant.compareAtPrice > variant.price)) return max;
+      return Math.max(max, Math.round(((variant.compareAtPrice - variant.price) / variant.compareAtPrice) * 10000) / 100);
+    }, 0);
+  }
   
   // Normalize collections
   if (this.collections && Array.isArray(this.collections)) {
@@ -559,16 +720,72 @@ const createDynamicIndex = async (queryPattern) => {
   }
 };
 
-// Virtual for total inventory
-ProductSchema.virtual('totalInventory').get(function() {
-  return this.variants.reduce((total, variant) => total + (variant.inventory || 0), 0);
-});
-
 // Virtual for has variants
 ProductSchema.virtual('hasVariants').get(function() {
   return this.variants && this.variants.length > 0;
 });
 
+/**
+ * Recompute totalInventory, inStock and maxDiscount from the stored variants
+ * @param {Object} filter - Products to update, all by default
+ * @returns {Promise<Object>} Update result
+ */
+ProductSchema.statics.syncVariantTotals = function(filter = {}) {
+  return this.updateMany(filter, [
+    {
+      $set: {
+        totalInventory: {
+          $sum: {
+            $map: {
+              input: { $ifNull: ['$variants', []] },
+              as: 'variant',
+              in: { $max: [{ $ifNull: ['$$variant.inventory', 0] }, 0] }
+            }
+          }
+        }
+      }
+    },
+    {
+      $set: {
+        inStock: { $gt: ['$totalInventory', 0] },
+        // $max of an empty list is null, which the outer $max ignores
+        maxDiscount: {
+          $max: [0, {
+            $max: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: { $ifNull: ['$variants', []] },
+                    as: 'variant',
+                    cond: {
+                      $and: [
+                        { $gt: ['$$variant.inventory', 0] },
+                        { $gte: ['$$variant.price', 0] },
+                        { $gt: ['$$variant.compareAtPrice', '$$variant.price'] }
+                      ]
+                    }
+                  }
+                },
+                as: 'variant',
+                in: {
+                  $round: [{
+                    $multiply: [{
+                      $divide: [
+                        { $subtract: ['$$variant.compareAtPrice', '$$variant.price'] },
+                        '$$variant.compareAtPrice'
+                      ]
+                    }, 100]
+                  }, 2]
+                }
+              }
+            }
+          }]
+        }
+      }
+    }
+  ]);
+};
+
 // Static methods for common queries
 ProductSchema.statics.findAvailable = function(conditions = {}) {
   return this.find({ isAvailable: true, ...conditions });
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Raw log entries expire; daily rollups (SearchQueryDaily) keep the history
+const RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 30;
+
+const searchClickSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  // 1-based position of the product in the results, when known
+  position: Number,
+  clickedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One search request; its _id is returned to clients as `searchId`
+const searchLogSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true
+  },
+  normalizedQuery: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Endpoint the search came through
+  source: {
+    type: String,
+    enum: ['products', 'search', 'filter'],
+    required: true
+  },
+  filters: mongoose.Schema.Types.Mixed,
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  // Filters had to be relaxed to find results
+  relaxed: {
+    type: Boolean,
+    default: false
+  },
+  latencyMs: Number,
+  sessionId: String,
+  clicks: [searchClickSchema],
+  clickCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_DAYS * 24 * 60 * 60
+  }
+});
+
+// Daily rollups scan one day of logs at a time
+searchLogSchema.index({ createdAt: 1, normalizedQuery: 1 });
+
+const SearchLog = mongoose.model('SearchLog', searchLogSchema);
+
+export default SearchLog;
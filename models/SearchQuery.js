@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Running popularity counter per normalized search query, used for suggestions
+const searchQuerySchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const SearchQuery = mongoose.model('SearchQuery', searchQuerySchema);
+
+export default SearchQuery;
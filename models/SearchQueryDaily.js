@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Per-day totals of one normalized query, rolled up from SearchLog
+const searchQueryDailySchema = new mongoose.Schema({
+  // UTC midnight of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  normalizedQuery: {
+    type: String,
+    required: true
+  },
+  searches: {
+    type: Number,
+    default: 0
+  },
+  zeroResults: {
+    type: Number,
+    default: 0
+  },
+  relaxed: {
+    type: Number,
+    default: 0
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  // Searches with at least one click, for click-through rate
+  searchesWithClicks: {
+    type: Number,
+    default: 0
+  },
+  sessions: {
+    type: Number,
+    default: 0
+  },
+  totalResults: {
+    type: Number,
+    default: 0
+  },
+  totalLatencyMs: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+searchQueryDailySchema.index({ date: 1, normalizedQuery: 1 }, { unique: true });
+searchQueryDailySchema.index({ normalizedQuery: 1, date: 1 });
+
+const SearchQueryDaily = mongoose.model('SearchQueryDaily', searchQueryDailySchema);
+
+export default SearchQueryDaily;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const MAX_PATTERN_LENGTH = 200;
+
+// Redirect or banner shown for search queries matching the pattern
+const searchRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // exact/contains compare normalized queries; regex is tested case-insensitively
+  matchType: {
+    type: String,
+    enum: ['exact', 'contains', 'regex'],
+    default: 'exact'
+  },
+  pattern: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_PATTERN_LENGTH
+  },
+  // Send shoppers to a collection or any landing page instead of the results
+  redirect: {
+    collectionHandle: String,
+    url: String
+  },
+  banner: {
+    title: String,
+    body: String,
+    imageUrl: String,
+    linkUrl: String,
+    placement: {
+      type: String,
+      enum: ['top', 'inline', 'bottom'],
+      default: 'top'
+    }
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  // Higher priority redirects win when several rules match
+  priority: {
+    type: Number,
+    default: 0
+  },
+  fireCount: {
+    type: Number,
+    default: 0
+  },
+  lastFiredAt: Date
+}, {
+  timestamps: true
+});
+
+searchRuleSchema.pre('validate', function (next) {
+  const hasRedirect = Boolean(this.redirect?.collectionHandle || this.redirect?.url);
+  const hasBanner = Boolean(this.banner?.title || this.banner?.body || this.banner?.imageUrl);
+
+  if (!hasRedirect && !hasBanner) {
+    this.invalidate('redirect', 'A rule needs a redirect or a banner');
+  }
+  if (this.matchType === 'regex' && this.pattern) {
+    try {
+      new RegExp(this.pattern, 'i');
+    } catch (error) {
+      this.invalidate('pattern', error.message);
+    }
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+const SearchRule = mongoose.model('SearchRule', searchRuleSchema);
+
+export default SearchRule;
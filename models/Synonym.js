@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+const synonymSchema = new mongoose.Schema({
+  // Normalized search term the rule applies to
+  term: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    lowercase: true,
+    trim: true
+  },
+  synonyms: {
+    type: [String],
+    required: true,
+    set: values => values.map(value => value.toLowerCase().trim()).filter(Boolean)
+  },
+  // Two-way rules also expand each synonym back to the term
+  bidirectional: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const Synonym = mongoose.model('Synonym', synonymSchema);
+
+export default Synonym;
@@ -22,5 +22,7 @@ const UserInteractionSchema = new mongoose.Schema({
 
 // Compound index for efficient querying
 UserInteractionSchema.index({ userId: 1, productId: 1, interactionType: 1 });
+// Recent activity scans for trending scores
+UserInteractionSchema.index({ interactionType: 1, timestamp: -1 });
 
 export default mongoose.model('UserInteraction', UserInteractionSchema, 'UserInteraction');    
\ No newline at end of file
@@ -4,6 +4,13 @@ import userInteractionController from '../controllers/userInteractionController.
 import embeddingController from '../controllers/embeddingController.js';
 import productController from '../controllers/productController.js';
 import filterController from '../controllers/filterController.js';
+import searchController from '../controllers/searchController.js';
+import synonymController from '../controllers/synonymController.js';
+import merchandisingController from '../controllers/merchandisingController.js';
+import collectionController from '../controllers/collectionController.js';
+import categoryController from '../controllers/categoryController.js';
+import searchRuleController from '../controllers/searchRuleController.js';
+import searchAnalyticsController from '../controllers/searchAnalyticsController.js';
 
 const router = express.Router();
 
@@ -12,6 +19,7 @@ router.get('/recommend', recommendationController.getRecommendations);
 router.get('/similar/:productId', recommendationController.getSimilarProducts);
 router.get('/popular', recommendationController.getPopularProducts);
 router.get('/search', recommendationController.searchProducts);
+router.get('/search/suggest', searchController.getSuggestions);
 router.get('/filter', recommendationController.filterProducts);
 router.get('/filterOptions', recommendationController.getFilterOptions);
 
@@ -20,6 +28,99 @@ router.post('/trackView', userInteractionController.trackView);
 router.post('/likeProduct', userInteractionController.likeProduct);
 router.post('/trackPurchase', userInteractionController.trackPurchase);
 
+// Search synonym management
+router.get('/synonyms', synonymController.getSynonyms);
+router.post('/synonyms', synonymController.saveSynonym);
+router.put('/synonyms/:id', synonymController.updateSynonym);
+router.delete('/synonyms/:id', synonymController.deleteSynonym);
+
+/**
+ * Merchandising rule management
+ * A rule targets one collectionHandle or searchTerm and can:
+ * - pins: [{ product: handle or productId, position }] fixed 1-based positions
+ * - boosts/buries: [{ field, value, weight }] on filter expression fields (brand, color, tag, ...)
+ * - startsAt/endsAt: optional schedule; isActive to switch off
+ * Applied by GET /products on top of every sort
+ */
+router.get('/merchandising/rules', merchandisingController.getRules);
+router.get('/merchandising/rules/:id', merchandisingController.getRule);
+router.post('/merchandising/rules', merchandisingController.createRule);
+router.put('/merchandising/rules/:id', merchandisingController.updateRule);
+router.delete('/merchandising/rules/:id', merchandisingController.deleteRule);
+
+/**
+ * GET /collections
+ * Collections with live available-product counts (`productCount`), cached for 5 minutes
+ * Query Parameters:
+ * - search: Matches title or handle
+ * - includeEmpty: true to also list collections without available products
+ * - sort: productCount (default, most products first) or title; order: asc/desc
+ * - page, limit (default 20, max 100), locale
+ *
+ * GET /collections/:handle
+ * Title, description, image, productCount, inStockCount, priceRange (in `currency`) and
+ * top facets (brands, productTypes, colors, sizes, tags) of the collection's available products
+ */
+router.get('/collections', collectionController.getCollections);
+router.get('/collections/:handle', collectionController.getCollection);
+
+/**
+ * Category tree
+ * A category has a name, handle, parent, position among siblings and `match`
+ * conditions ({ productTypes, tags, attributes: [{ key, value }] }, any one matches);
+ * products also need to match every ancestor with conditions. Changes reassign
+ * product categories in the background.
+ * GET /categories/tree returns active categories nested for navigation
+ */
+router.get('/categories', categoryController.getCategories);
+router.get('/categories/tree', categoryController.getCategoryTree);
+router.get('/categories/:id', categoryController.getCategory);
+router.post('/categories', categoryController.createCategory);
+router.put('/categories/:id', categoryController.updateCategory);
+router.delete('/categories/:id', categoryController.deleteCategory);
+
+/**
+ * Smart collection rules
+ * Rules synced from Shopify are evaluated locally (title, type, vendor, tag, variant_title,
+ * variant_price, variant_compare_at_price, variant_inventory, is_price_reduced), so products
+ * join and leave smart collections as soon as they or the rules change.
+ * POST /collections/:handle/rules/dry-run: { rules?, disjunctive? } lists the products that
+ * would be added or removed, for the stored rules or the proposed ones, without saving
+ */
+router.post('/collections/:handle/rules/dry-run', collectionController.previewRules);
+
+/**
+ * Search redirect & banner rules
+ * - matchType: exact or contains (normalized query), or regex (case-insensitive)
+ * - pattern: Term or regular expression to match
+ * - redirect: { collectionHandle, url } sent back as `redirect` (highest priority rule wins)
+ * - banner: { title, body, imageUrl, linkUrl, placement } sent back in `banners`
+ * Matched by GET /products (search) and GET /search; fireCount/lastFiredAt count matches
+ * GET /search/rules?sort=fires lists the most fired rules first
+ */
+router.get('/search/rules', searchRuleController.getRules);
+router.get('/search/rules/:id', searchRuleController.getRule);
+router.post('/search/rules', searchRuleController.createRule);
+router.put('/search/rules/:id', searchRuleController.updateRule);
+router.delete('/search/rules/:id', searchRuleController.deleteRule);
+
+/**
+ * Search analytics
+ * Searches through GET /products, /search and /filter are logged and return a `searchId`
+ * (send an X-Session-Id header or sessionId param to group them by session)
+ * - POST /search/click: { searchId, productId, position } records a result click;
+ *   POST /trackView accepts the same searchId/position
+ * Reports read daily rollups refreshed hourly; raw logs expire after SEARCH_LOG_RETENTION_DAYS
+ * - days: Window in days including today (default 30), limit: Rows (default 20)
+ * - /search/analytics/low-ctr also takes minSearches (default 10)
+ * - /search/analytics/trends returns daily totals, for one `query` when given
+ */
+router.post('/search/click', searchAnalyticsController.trackClick);
+router.get('/search/analytics/top', searchAnalyticsController.getTopQueries);
+router.get('/search/analytics/zero-results', searchAnalyticsController.getZeroResultQueries);
+router.get('/search/analytics/low-ctr', searchAnalyticsController.getLowCtrQueries);
+router.get('/search/analytics/trends', searchAnalyticsController.getQueryTrends);
+
 //Embedding routes
 router.post('/embeddingSync', embeddingController.syncEmbeddings);
 
@@ -31,18 +132,51 @@ router.post('/embeddingSync', embeddingController.syncEmbeddings);
  * Query Parameters:
  * - page: Current page number (default: 1)
  * - limit: Items per page (default: 20)
- * - sort: Sorting option (featured, best_selling, price_asc, price_desc, etc.)
- * - search: Search term for product name/description
+ * - cursor: Opaque token from `pagination.nextCursor`; when present it replaces `page`
+ * - sort: Sorting option (featured, best_selling, best_seller_7d/_30d/_90d,
+ *   price_asc, price_desc, stock_desc, discount_desc, etc.)
+ *   or a key list such as `price:asc,createdAt:desc`; `manual` orders a single collection
+ *   as arranged in the Shopify admin. Without `sort`, a single collection uses its
+ *   Shopify sort order and other listings best_seller
+ * - order: Direction (asc/desc) for sort keys given without one
+ * - fields: Comma separated fields and/or presets (card, detail) to return,
+ *   e.g. `card` or `name,price,imageUrl`; defaults to full documents
+ * - outOfStockLast: true to list out-of-stock products after in-stock ones, for any sort
+ * - search: Search term for product name/description; matching search rules add
+ *   `redirect` and `banners` to the response
+ * - searchMode: hybrid (default), vector or text; search results sort by `relevance`
  * - category, color, size, material, season, gender, etc.: Filter attributes
+ *   (color and size match variants with inventory > 0, and must be on the same variant;
+ *   category tree handles or names include their subcategories)
+ * - currency: Shopper currency (INR, USD, GBP; see PRESENTMENT_CURRENCIES) for minPrice/maxPrice,
+ *   price sorts and `price` in `q`; products carry `presentmentPrices` per currency
+ * - locale: Storefront locale (hi, ar; see STOREFRONT_LOCALES) for name, description, tags and
+ *   productType, falling back to the default language; search also matches the translations
  * - minPrice/maxPrice: Price range filters
+ * - inStock: true to only return products with inventory
+ * - onSale: true for products with a discounted in-stock variant
+ * - minDiscount: Minimum discount percent off compareAtPrice, e.g. 30
+ * - q: Boolean filter expression, e.g.
+ *   `(color:red OR color:maroon) AND NOT brand:"X" AND price:[1000 TO 5000]`
+ * - relax: false to return an empty page instead of relaxing filters when nothing matches;
+ *   otherwise filters are dropped one at a time (RELAXATION_ORDER env, default style, work,
+ *   fabric, ... brand, category, q) and `relaxation.removedFilters` lists them. When nothing
+ *   matches without filters either, popular products of the collection are returned with
+ *   `relaxation.fallback: 'popular'`
  * 
  * GET /products/filters
+ * Accepts the same filters, including `q` and `currency` (priceRange is in that currency)
+ * and `locale` (collection and product type facets get a translated `label`)
  * Returns available filter options based on current product data
  * Includes:
  * - Categories, Collections
+ * - categoryTree: Nested category tree with counts rolled up per node
  * - Colors, Sizes, Materials, Seasons, Genders
  * - Product Groups, Types, Brands
- * - Price Ranges
+ * - Price Ranges: min/max over the other filters (the price filter is left out) and
+ *   `priceRange.histogram` buckets [{ min, max, count, selected }] (min inclusive, max exclusive):
+ *   - priceBuckets: Fixed boundaries, e.g. 0,1000,2000,5000 (the last bucket is open-ended, max null)
+ *   - priceBucketCount: Number of automatic buckets with round boundaries (default 5, max 20)
  * - Available attribute values for current filter context
  * All responses are cached for performance optimization
  */
@@ -52,4 +186,36 @@ router.get('/products/filters', filterController.getProductFilters);
 // Get product sales statistics
 router.get('/products/sales-stats', productController.getProductSalesStats);
 
+/**
+ * POST /products/batch
+ * Up to 100 products in one call, in the requested order
+ * Body:
+ * - ids: Handles, productIds and/or shopifyIds (mixed is fine)
+ * - fields: Same fields/presets as GET /products, e.g. "card"
+ * Response lists unknown or unavailable identifiers in `missing`
+ */
+router.post('/products/batch', productController.getProductsBatch);
+
+/**
+ * GET /products/:handleOrId
+ * Single available product by handle, productId or shopifyId (404 otherwise)
+ * Response adds priceRange, stockByOption, collections (handle + title), breadcrumbs
+ * (category path, top-level first) and salesRank
+ * Query Parameters:
+ * - include: Comma separated related blocks to embed: similar, boughtTogether
+ * - locale: Storefront locale for the product and collection titles (default language otherwise)
+ * Declared after the fixed /products/* routes so those keep matching
+ */
+router.get('/products/:handleOrId', productController.getProductDetail);
+
+/**
+ * GET /trending
+ * Products ranked by trending score (recent sales and engagement against each
+ * product's own baseline, refreshed hourly)
+ * Query Parameters:
+ * - limit: Number of products (default: 20, max: 100)
+ * - Any /products filter, e.g. collections, gender, inStock
+ */
+router.get('/trending', productController.getTrendingProducts);
+
 export default router; 
\ No newline at end of file
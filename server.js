@@ -9,6 +9,9 @@ import { startProductCleanupJob } from './cron/cleanupProduct.js';
 import { startProductAddedJob } from './cron/ProductSync.js';
 import { startOrderAddedJob } from './migrations/migrateShopifyOrders.js';
 import { startCollectionJob } from  './cron/collenctions.js';
+import { startSalesRankingJob, runSalesRankingOnce } from './cron/salesRanking.js';
+import { startTrendingJob, runTrendingOnce } from './cron/trending.js';
+import { startSearchAnalyticsJob } from './cron/searchAnalytics.js';
 import ipWhitelist from './middleware/ipWhitelist.js'; // Import the middleware
 
 const app = express();
@@ -28,6 +31,17 @@ startProductAddedJob();
 startProductCleanupJob();
 
 startCollectionJob()
+
+// Keep best-seller counters current, starting with a fresh pass
+startSalesRankingJob();
+runSalesRankingOnce();
+
+// Trending scores for sort=trending and /api/trending
+startTrendingJob();
+runTrendingOnce();
+
+// Daily search query rollups for the analytics reports
+startSearchAnalyticsJob();
 // Middleware
 app.use(cors());
 app.use(json());
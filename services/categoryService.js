@@ -0,0 +1,216 @@
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+
+/**
+ * Category tree for navigation (Women > Ethnic Wear > Lehengas)
+ *
+ * Categories map onto products through productTypes, tags and attributes
+ * (metafield and structured tag values). A product belongs to a category when
+ * it matches the category's own conditions and those of every ancestor that
+ * has some; categories without conditions only group their subcategories.
+ * Products store the handles of their categories and all their ancestors in
+ * `categoryHandles`, so filtering on a category includes its descendants and
+ * facet counts roll up per node.
+ */
+
+const CATEGORY_CACHE_TTL = 60 * 1000; // 1 minute
+const ASSIGN_BATCH_SIZE = 500;
+
+// Product fields categories are matched on
+const CATEGORY_PRODUCT_FIELDS = { productType: 1, tags: 1, attributes: 1, categoryHandles: 1 };
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+let categoryCache = null;
+let categoryCacheLoadedAt = 0;
+
+/**
+ * Load active categories as a tree
+ * Categories under an inactive or missing parent are left out with it
+ * @returns {Promise<Object>} { roots, nodes, byHandle, byName }; nodes carry `ancestors` (root first) and `children`
+ */
+async function loadCategories() {
+  if (categoryCache && Date.now() - categoryCacheLoadedAt < CATEGORY_CACHE_TTL) {
+    return categoryCache;
+  }
+
+  const categories = await Category.find({ isActive: true }).sort({ position: 1, name: 1 }).lean();
+  const byId = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+
+  const roots = [];
+  const nodes = [];
+  const attach = (node, ancestors) => {
+    node.ancestors = ancestors;
+    nodes.push(node);
+    categories
+      .filter(category => category.parent && category.parent.toString() === node._id.toString())
+      .forEach(category => {
+        const child = byId.get(category._id.toString());
+        node.children.push(child);
+        attach(child, [...ancestors, node]);
+      });
+  };
+  categories
+    .filter(category => !category.parent)
+    .forEach(category => {
+      const root = byId.get(category._id.toString());
+      roots.push(root);
+      attach(root, []);
+    });
+
+  categoryCache = {
+    roots,
+    nodes,
+    byHandle: new Map(nodes.map(node => [node.handle, node])),
+    byName: new Map(nodes.map(node => [normalize(node.name), node]))
+  };
+  categoryCacheLoadedAt = Date.now();
+  return categoryCache;
+}
+
+/**
+ * Drop the cached tree so the next lookup reloads it
+ */
+function invalidateCategories() {
+  categoryCache = null;
+}
+
+const hasConditions = ({ match = {} }) =>
+  ['productTypes', 'tags', 'attributes'].some(key => match[key]?.length > 0);
+
+const matchesConditions = (product, { match = {} }) => {
+  const tags = new Set((product.tags || []).map(normalize));
+  const productType = normalize(product.productType);
+  const attributes = product.attributes || {};
+
+  return (match.productTypes || []).some(type => normalize(type) === productType) ||
+    (match.tags || []).some(tag => tags.has(normalize(tag))) ||
+    (match.attributes || []).some(({ key, value }) =>
+      normalize(attributes[key.toLowerCase()]) === normalize(value)
+    );
+};
+
+/**
+ * Handles of the categories a product belongs to, ancestors included
+ * @param {Object} product - Product with productType, tags and attributes
+ * @param {Object} tree - From loadCategories
+ * @returns {Array<string>}
+ */
+const getProductCategoryHandles = (product, tree) => {
+  const handles = new Set();
+
+  tree.nodes.forEach(node => {
+    if (!hasConditions(node) || !matchesConditions(product, node)) return;
+    if (!node.ancestors.every(ancestor => !hasConditions(ancestor) || matchesConditions(product, ancestor))) return;
+    [...node.ancestors, node].forEach(category => handles.add(category.handle));
+  });
+
+  return Array.from(handles);
+};
+
+/**
+ * Category handles for a `category` filter value
+ * @param {string|Array} category - Comma separated category handles or names
+ * @returns {Promise<Array<string>|null>} Handles, or null unless every value is a category in the tree
+ */
+async function resolveCategoryHandles(category) {
+  const values = (Array.isArray(category) ? category : String(category || '').split(','))
+    .map(normalize)
+    .filter(Boolean);
+  if (!values.length) return null;
+
+  const tree = await loadCategories();
+  const nodes = values.map(value => tree.byHandle.get(value) || tree.byName.get(value));
+  return nodes.every(Boolean) ? nodes.map(node => node.handle) : null;
+}
+
+/**
+ * Path from the top-level category to the product's deepest category
+ * @param {Object} product - Product with `categoryHandles`
+ * @returns {Promise<Array>} [{ handle, name }], empty when the product has no category
+ */
+async function getBreadcrumbs(product) {
+  const tree = await loadCategories();
+  const deepest = (product.categoryHandles || [])
+    .map(handle => tree.byHandle.get(handle))
+    .filter(Boolean)
+    .reduce((best, node) => (!best || node.ancestors.length > best.ancestors.length ? node : best), null);
+
+  return deepest
+    ? [...deepest.ancestors, deepest].map(({ handle, name }) => ({ handle, name }))
+    : [];
+}
+
+/**
+ * Nested category facet with product counts rolled up per node
+ * @param {Object} query - Product query, without the category filter
+ * @param {Array<string>} selected - Category handles applied by the request
+ * @returns {Promise<Array>} [{ handle, name, count, selected, children }], nodes without products left out
+ */
+async function getCategoryFacet(query, selected = []) {
+  const [tree, counts] = await Promise.all([
+    loadCategories(),
+    Product.aggregate([
+      { $match: query },
+      { $project: { categoryHandles: 1 } },
+      { $unwind: '$categoryHandles' },
+      { $group: { _id: '$categoryHandles', count: { $sum: 1 } } }
+    ])
+  ]);
+  const countByHandle = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  const toFacet = (nodes) => nodes
+    .filter(node => countByHandle.get(node.handle))
+    .map(node => ({
+      handle: node.handle,
+      name: node.name,
+      count: countByHandle.get(node.handle),
+      selected: selected.includes(node.handle),
+      children: toFacet(node.children)
+    }));
+
+  return toFacet(tree.roots);
+}
+
+/**
+ * Recompute `categoryHandles` on every product, after the tree changed
+ * @returns {Promise<number>} Number of products whose categories changed
+ */
+async function assignProductCategories() {
+  invalidateCategories();
+  const tree = await loadCategories();
+  const cursor = Product.find({}, CATEGORY_PRODUCT_FIELDS).lean().cursor();
+
+  let updates = [];
+  let changed = 0;
+  const flush = async () => {
+    if (!updates.length) return;
+    await Product.bulkWrite(updates, { ordered: false });
+    changed += updates.length;
+    updates = [];
+  };
+
+  for await (const product of cursor) {
+    const handles = getProductCategoryHandles(product, tree);
+    const current = product.categoryHandles || [];
+    if (handles.length === current.length && handles.every(handle => current.includes(handle))) continue;
+
+    updates.push({ updateOne: { filter: { _id: product._id }, update: { $set: { categoryHandles: handles } } } });
+    if (updates.length >= ASSIGN_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return changed;
+}
+
+const categoryService = {
+  loadCategories,
+  invalidateCategories,
+  getProductCategoryHandles,
+  resolveCategoryHandles,
+  getBreadcrumbs,
+  getCategoryFacet,
+  assignProductCategories
+};
+
+export default categoryService;
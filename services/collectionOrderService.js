@@ -0,0 +1,173 @@
+import { shopifyClient } from '../config/shopify.js';
+import { collectionPositionsQuery } from '../graphql/queries/collections.js';
+import Collection from '../models/Collection.js';
+import Product from '../models/Product.js';
+
+/**
+ * Collection sort orders from Shopify
+ *
+ * Each collection's sort order (stored on Collection as Shopify's REST value,
+ * e.g. `best-selling`) becomes the default `sort` of its listing. Manual
+ * collections sort on `collectionPositions.<handle>`, the product positions
+ * synced from the admin whenever the collection is processed; products
+ * without a position yet are listed after the others.
+ */
+
+const SORT_ORDER_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Shopify sort orders mapped to sort presets (see utils/sorting.js)
+const SORT_ORDER_PRESETS = {
+  manual: 'manual',
+  'best-selling': 'best_seller',
+  'alpha-asc': 'alphabetical_asc',
+  'alpha-desc': 'alphabetical_desc',
+  'price-asc': 'price_asc',
+  'price-desc': 'price_desc',
+  created: 'date_old_to_new',
+  'created-desc': 'date_new_to_old'
+};
+
+/**
+ * Shopify sort order in its REST form
+ * GraphQL enums (BEST_SELLING) and REST values (best-selling) are both accepted
+ * @param {string} sortOrder
+ * @returns {string|null}
+ */
+const normalizeSortOrder = (sortOrder) =>
+  (sortOrder ? String(sortOrder).trim().toLowerCase().replace(/_/g, '-') : null);
+
+// Handles that list the whole catalog rather than a collection (see buildSharedQuery)
+const CATALOG_HANDLES = ['all', 'products'];
+
+// Position given to products a manual collection has no position for yet, so they sort last
+const UNPOSITIONED = Number.MAX_SAFE_INTEGER;
+
+// Field holding product positions in a manual collection, null for lists of handles, catalog handles and invalid ones
+const getPositionField = (handle) => {
+  const key = String(handle || '').trim().toLowerCase();
+  return /^[\w-]+$/.test(key) && !CATALOG_HANDLES.includes(key) ? `collectionPositions.${key}` : null;
+};
+
+/**
+ * Aggregation expression for a product's position in a manual collection
+ * Products added since the last position sync have none and come after the positioned ones
+ * @param {string} handle - Requested collection handle(s)
+ * @returns {Object|null} Expression, or null when the listing has no manual positions
+ */
+const buildPositionExpression = (handle) => {
+  const positionField = getPositionField(handle);
+  return positionField ? { $ifNull: [`$${positionField}`, UNPOSITIONED] } : null;
+};
+
+let sortOrderCache = null;
+let sortOrderCacheLoadedAt = 0;
+
+/**
+ * Load sort orders of all collections, keyed by handle
+ * @returns {Promise<Map>}
+ */
+async function loadSortOrders() {
+  if (sortOrderCache && Date.now() - sortOrderCacheLoadedAt < SORT_ORDER_CACHE_TTL) {
+    return sortOrderCache;
+  }
+
+  const collections = await Collection.find({ sortOrder: { $nin: [null, ''] } }, { handle: 1, sortOrder: 1 }).lean();
+  sortOrderCache = new Map(collections.map(({ handle, sortOrder }) => [handle.toLowerCase(), sortOrder]));
+  sortOrderCacheLoadedAt = Date.now();
+  return sortOrderCache;
+}
+
+/**
+ * Default sort for a collection listing
+ * @param {string} collection - Requested collection handle(s); only a single handle has an order
+ * @returns {Promise<string|null>} Sort preset, or null when the collection has no known order
+ */
+async function getCollectionSort(collection) {
+  const handles = String(collection || '').split(',').map(handle => handle.trim().toLowerCase()).filter(Boolean);
+  if (handles.length !== 1) return null;
+
+  const sortOrders = await loadSortOrders();
+  return SORT_ORDER_PRESETS[sortOrders.get(handles[0])] || null;
+}
+
+/**
+ * Store product positions of a manual collection
+ * Products that left the collection lose their position
+ * @param {Object} collection
+ * @param {string} collection.shopifyId - Collection GID
+ * @param {string} collection.handle
+ * @returns {Promise<number>} Number of positioned products
+ */
+async function syncCollectionPositions({ shopifyId, handle }) {
+  const positionField = getPositionField(handle);
+  if (!positionField) return 0;
+
+  const productIds = [];
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const data = await shopifyClient.query(collectionPositionsQuery, { id: shopifyId, cursor });
+    if (!data?.collection) break;
+
+    const { edges, pageInfo } = data.collection.products;
+    productIds.push(...edges.map(({ node }) => node.id));
+    hasNextPage = pageInfo.hasNextPage;
+    cursor = pageInfo.endCursor;
+  }
+
+  if (productIds.length) {
+    await Product.bulkWrite(productIds.map((shopifyId, position) => ({
+      updateOne: {
+        filter: { shopifyId },
+        update: { $set: { [positionField]: position } }
+      }
+    })), { ordered: false });
+  }
+
+  await Product.updateMany(
+    { [positionField]: { $exists: true }, shopifyId: { $nin: productIds } },
+    { $unset: { [positionField]: '' } }
+  );
+
+  return productIds.length;
+}
+
+/**
+ * Store a collection's sort order and, for manual collections, its product positions
+ * @param {Object} collection
+ * @param {string} collection.shopifyId - Collection GID
+ * @param {string} collection.handle
+ * @param {string} collection.sortOrder - Shopify sort order (REST or GraphQL form)
+ * @returns {Promise<void>}
+ */
+async function syncCollectionOrder({ shopifyId, handle, sortOrder }) {
+  const normalized = normalizeSortOrder(sortOrder);
+  await Collection.updateOne({ shopifyId }, { $set: { sortOrder: normalized } });
+
+  const positionField = getPositionField(handle);
+  if (normalized === 'manual') {
+    const positioned = await syncCollectionPositions({ shopifyId, handle });
+    console.log(`Synced ${positioned} manual positions for collection ${handle}`);
+  } else if (positionField) {
+    // Positions only apply while the collection is sorted manually
+    await Product.updateMany(
+      { [positionField]: { $exists: true } },
+      { $unset: { [positionField]: '' } }
+    );
+  }
+
+  sortOrderCache = null;
+}
+
+const collectionOrderService = {
+  SORT_ORDER_PRESETS,
+  normalizeSortOrder,
+  getPositionField,
+  buildPositionExpression,
+  getCollectionSort,
+  syncCollectionPositions,
+  syncCollectionOrder
+};
+
+export default collectionOrderService;
@@ -0,0 +1,178 @@
+import Collection from '../models/Collection.js';
+import Product from '../models/Product.js';
+import { createVariantFacetPipeline } from '../utils/facets.js';
+import { getTranslationPath, localizeCollection } from '../utils/locale.js';
+
+/**
+ * Collection listing and detail data
+ *
+ * Product counts, price ranges and facets are computed live from available
+ * products' `collection_handle`, not from the `productCount` stored at sync
+ * time, so they follow stock and smart collection changes.
+ */
+
+const COUNTS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const TOP_FACET_LIMIT = 10;
+
+// Facets returned with a collection: response key -> product path, `unwind` for arrays,
+// or the variant option counted over in-stock variants like the listing filters
+const COLLECTION_FACETS = {
+  brands: { path: 'brand' },
+  productTypes: { path: 'productType' },
+  colors: { variant: 'color' },
+  sizes: { variant: 'size' },
+  tags: { path: 'tags', unwind: true }
+};
+
+// Fields returned for each collection
+const COLLECTION_PROJECTION = {
+  shopifyId: 1,
+  handle: 1,
+  title: 1,
+  description: 1,
+  descriptionHtml: 1,
+  image: 1,
+  sortOrder: 1,
+  updatedAt: 1
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Handles are compared ignoring case everywhere, like the grouping in getProductCounts
+const handlePattern = (handle) => new RegExp(`^${escapeRegex(String(handle).trim())}$`, 'i');
+
+let countsCache = null;
+let countsCacheLoadedAt = 0;
+
+/**
+ * Available product count per collection handle
+ * @returns {Promise<Map>} Lowercased handle -> count
+ */
+async function getProductCounts() {
+  if (countsCache && Date.now() - countsCacheLoadedAt < COUNTS_CACHE_TTL) {
+    return countsCache;
+  }
+
+  const counts = await Product.aggregate([
+    { $match: { isAvailable: true, 'collection_handle.0': { $exists: true } } },
+    { $project: { collection_handle: 1 } },
+    { $unwind: '$collection_handle' },
+    { $group: { _id: { $toLower: '$collection_handle' }, count: { $sum: 1 } } }
+  ]);
+  countsCache = new Map(counts.map(({ _id, count }) => [_id, count]));
+  countsCacheLoadedAt = Date.now();
+  return countsCache;
+}
+
+/**
+ * Collections with their live product counts
+ * @param {Object} options
+ * @param {string} options.search - Matches title or handle, ignoring case
+ * @param {boolean} options.includeEmpty - Also list collections without available products
+ * @param {string} options.sort - productCount (default) or title
+ * @param {number} options.order - 1 or -1; productCount defaults to -1, title to 1
+ * @param {number} options.page - 1-based page
+ * @param {number} options.limit - Collections per page
+ * @param {string} options.locale - Resolved locale for titles and descriptions
+ * @returns {Promise<Object>} { collections, total }
+ */
+async function listCollections({
+  search, includeEmpty = false, sort = 'productCount', order, page = 1, limit = 20, locale
+}) {
+  const filter = {};
+  if (search) {
+    const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+    filter.$or = [{ title: pattern }, { handle: pattern }];
+  }
+
+  const translationPath = getTranslationPath(locale);
+  const [collections, counts] = await Promise.all([
+    Collection.find(filter, { ...COLLECTION_PROJECTION, ...(translationPath ? { [translationPath]: 1 } : {}) }).lean(),
+    getProductCounts()
+  ]);
+
+  const direction = order || (sort === 'title' ? 1 : -1);
+  const listed = collections
+    .map(collection => ({
+      ...localizeCollection(collection, locale),
+      productCount: counts.get(collection.handle.toLowerCase()) || 0
+    }))
+    .filter(collection => includeEmpty || collection.productCount > 0)
+    .sort((a, b) => (sort === 'title'
+      ? direction * a.title.localeCompare(b.title)
+      : direction * (a.productCount - b.productCount) || a.title.localeCompare(b.title)));
+
+  return {
+    collections: listed.slice((page - 1) * limit, page * limit),
+    total: listed.length
+  };
+}
+
+const topValues = ({ path, unwind, variant }) => [
+  ...(variant
+    ? createVariantFacetPipeline(variant)
+    : [
+      ...(unwind ? [{ $unwind: `$${path}` }] : []),
+      { $match: { [path]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${path}`, count: { $sum: 1 } } }
+    ]),
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: TOP_FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+/**
+ * A collection with its live product count, price range and top facets
+ * @param {string} handle - Collection handle
+ * @param {Object} options
+ * @param {string} options.priceField - Price field of the requested currency
+ * @param {string} options.locale - Resolved locale for the title and description
+ * @returns {Promise<Object|null>} null for unknown collections
+ */
+async function getCollectionDetail(handle, { priceField = 'price', locale } = {}) {
+  const translationPath = getTranslationPath(locale);
+  const collection = await Collection.findOne(
+    { handle: handlePattern(handle) },
+    { ...COLLECTION_PROJECTION, ...(translationPath ? { [translationPath]: 1 } : {}) }
+  ).lean();
+  if (!collection) return null;
+
+  const [stats] = await Product.aggregate([
+    { $match: { isAvailable: true, collection_handle: handlePattern(collection.handle) } },
+    {
+      $facet: {
+        summary: [{
+          $group: {
+            _id: null,
+            productCount: { $sum: 1 },
+            inStockCount: { $sum: { $cond: ['$inStock', 1, 0] } },
+            minPrice: { $min: `$${priceField}` },
+            maxPrice: { $max: `$${priceField}` }
+          }
+        }],
+        ...Object.fromEntries(Object.entries(COLLECTION_FACETS).map(([key, facet]) => [key, topValues(facet)]))
+      }
+    }
+  ]);
+
+  const summary = stats.summary[0] || {};
+  return {
+    ...localizeCollection(collection, locale),
+    productCount: summary.productCount || 0,
+    inStockCount: summary.inStockCount || 0,
+    priceRange: {
+      min: Math.floor(summary.minPrice || 0),
+      max: Math.ceil(summary.maxPrice || 0)
+    },
+    facets: Object.fromEntries(Object.keys(COLLECTION_FACETS).map(key => [key, stats[key]]))
+  };
+}
+
+const collectionService = {
+  COLLECTION_FACETS,
+  getProductCounts,
+  listCollections,
+  getCollectionDetail
+};
+
+export default collectionService;
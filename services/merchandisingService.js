@@ -0,0 +1,212 @@
+import MerchandisingRule from '../models/MerchandisingRule.js';
+import Product from '../models/Product.js';
+import { FILTER_FIELDS } from '../utils/filterExpression.js';
+import { normalizeSearchTerm } from './searchTermService.js';
+
+/**
+ * Merchandising rules for product listings
+ *
+ * Rules target a collection or a search term and are applied on top of the
+ * requested sort:
+ * - boosts/buries add or subtract their weight from a `merchandisingScore`
+ *   that becomes the leading sort key
+ * - pins take pinned products out of the normal order and place them at fixed
+ *   1-based positions (moved up to the end of the results when there are fewer
+ *   products than the position)
+ *
+ * Pins are placed the same way with page and cursor pagination: cursors carry
+ * the number of results already listed, so each page knows which positions it
+ * covers (see utils/pagination.js).
+ */
+
+const RULE_CACHE_TTL = 60 * 1000; // 1 minute
+
+let ruleCache = null;
+let ruleCacheLoadedAt = 0;
+
+/**
+ * Load rules that are enabled and not yet ended
+ * @returns {Promise<Array>}
+ */
+async function loadRules() {
+  if (ruleCache && Date.now() - ruleCacheLoadedAt < RULE_CACHE_TTL) {
+    return ruleCache;
+  }
+
+  ruleCache = await MerchandisingRule.find({
+    isActive: true,
+    $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }]
+  }).sort({ priority: -1, createdAt: 1 }).lean();
+  ruleCacheLoadedAt = Date.now();
+  return ruleCache;
+}
+
+/**
+ * Drop cached rules so the next listing reloads them
+ */
+function invalidateRules() {
+  ruleCache = null;
+}
+
+/**
+ * Rules live right now for a listing context
+ * @param {Object} context
+ * @param {string} context.collection - Requested collection handle(s)
+ * @param {string} context.search - Search term
+ * @returns {Promise<Array>} Matching rules, highest priority first
+ */
+async function getActiveRules({ collection, search } = {}) {
+  const collections = String(collection || '').split(',').map(handle => handle.trim().toLowerCase()).filter(Boolean);
+  // Rules target a single collection listing, not a union of several
+  const collectionHandle = collections.length === 1 ? collections[0] : null;
+  const searchTerm = search ? normalizeSearchTerm(search) : null;
+
+  if (!collectionHandle && !searchTerm) return [];
+
+  const now = new Date();
+  const rules = await loadRules();
+
+  return rules.filter(rule =>
+    (!rule.startsAt || new Date(rule.startsAt) <= now) &&
+    (!rule.endsAt || new Date(rule.endsAt) > now) &&
+    ((collectionHandle && rule.collectionHandle === collectionHandle) ||
+      (searchTerm && rule.searchTerm === searchTerm))
+  );
+}
+
+// True when a (possibly array) field contains the value, ignoring case
+const fieldMatches = (path, value) => ({
+  $in: [
+    value.toLowerCase(),
+    {
+      $map: {
+        input: { $cond: [{ $isArray: `$${path}` }, `$${path}`, [`$${path}`]] },
+        as: 'item',
+        in: { $toLower: { $ifNull: ['$$item', ''] } }
+      }
+    }
+  ]
+});
+
+/**
+ * Aggregation expression scoring boosts and buries
+ * @param {Array} rules - Active rules
+ * @returns {Object|null} Expression for `merchandisingScore`, or null without boosts/buries
+ */
+const buildMerchandisingScore = (rules) => {
+  const terms = rules.flatMap(rule => [
+    ...(rule.boosts || []).map(boost => ({ ...boost, sign: 1 })),
+    ...(rule.buries || []).map(bury => ({ ...bury, sign: -1 }))
+  ])
+    .filter(({ field, value }) => FILTER_FIELDS[field] && value)
+    .map(({ field, value, weight = 1, sign }) => ({
+      $cond: [fieldMatches(FILTER_FIELDS[field].path, value), sign * weight, 0]
+    }));
+
+  return terms.length ? { $add: terms } : null;
+};
+
+/**
+ * Pins of the active rules, first rule wins when a product is pinned twice
+ * @param {Array} rules - Active rules, highest priority first
+ * @returns {Array} [{ product, position }] ordered by position, then priority
+ */
+const collectPins = (rules) => {
+  const seen = new Set();
+  const pins = [];
+  rules.forEach(rule => {
+    (rule.pins || []).forEach(pin => {
+      if (seen.has(pin.product)) return;
+      seen.add(pin.product);
+      pins.push({ product: pin.product, position: pin.position });
+    });
+  });
+  // Stable sort keeps the higher priority pin first on equal positions
+  return pins.sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Load pinned products that satisfy the listing query
+ * @param {Array} pins - From collectPins
+ * @param {Object} query - Listing query
+ * @param {Object|null} projection - Listing projection
+ * @returns {Promise<Array>} [{ product, position }] for pins that resolved
+ */
+async function resolvePins(pins, query, projection = null) {
+  if (!pins.length) return [];
+
+  const identifiers = pins.map(pin => pin.product);
+  const products = await Product.find(
+    {
+      $and: [
+        query,
+        { $or: [{ handle: { $in: identifiers } }, { productId: { $in: identifiers } }] }
+      ]
+    },
+    projection && { ...projection, handle: 1, productId: 1 }
+  ).lean();
+
+  return pins
+    .map(pin => ({
+      product: products.find(product => product.handle === pin.product || product.productId === pin.product),
+      position: pin.position
+    }))
+    .filter(pin => pin.product);
+}
+
+/**
+ * 0-based result indexes of pins: strictly increasing, and never past the end
+ * of the results so each pin shows up on exactly one page
+ * @param {Array} pins - Resolved pins ordered by position
+ * @param {number} otherTotal - Number of non-pinned results
+ * @returns {Array<number>}
+ */
+const getPinIndexes = (pins, otherTotal) => {
+  const indexes = [];
+  pins.forEach((pin, i) => {
+    const wanted = Math.max(pin.position - 1, i > 0 ? indexes[i - 1] + 1 : 0);
+    indexes.push(Math.min(wanted, otherTotal + i));
+  });
+  return indexes;
+};
+
+/**
+ * Merge pinned products into a page of non-pinned results
+ * @param {Array} products - Non-pinned results starting at the page's first slot
+ * @param {Array} pins - Resolved pins
+ * @param {Array<number>} pinIndexes - From getPinIndexes
+ * @param {Object} page
+ * @param {number} page.offset - Index of the first slot of the page
+ * @param {number} page.limit - Page size
+ * @returns {{ products: Array, consumed: number }} The page and how many non-pinned results it used
+ */
+const placePins = (products, pins, pinIndexes, { offset, limit }) => {
+  const page = [];
+  let consumed = 0;
+
+  for (let index = offset; index < offset + limit; index++) {
+    const pinAt = pinIndexes.indexOf(index);
+    if (pinAt !== -1) {
+      page.push({ ...pins[pinAt].product, pinned: true });
+    } else if (consumed < products.length) {
+      page.push(products[consumed]);
+      consumed += 1;
+    } else {
+      break;
+    }
+  }
+
+  return { products: page, consumed };
+};
+
+const merchandisingService = {
+  getActiveRules,
+  buildMerchandisingScore,
+  collectPins,
+  resolvePins,
+  getPinIndexes,
+  placePins,
+  invalidateRules
+};
+
+export default merchandisingService;
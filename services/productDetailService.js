@@ -0,0 +1,233 @@
+import Product from '../models/Product.js';
+import Collection from '../models/Collection.js';
+import Order from '../models/Order.js';
+import vectorService from './vectorService.js';
+import { parseFieldsParam } from '../utils/projection.js';
+import { getTranslationPath, localizeCollection } from '../utils/locale.js';
+
+/**
+ * Data for the single-product and batch endpoints: lookup by any identifier
+ * plus the related blocks computed around the product document
+ */
+
+const RELATED_LIMIT = 8;
+const BOUGHT_TOGETHER_ORDER_LIMIT = 500; // Most recent orders of the product that are inspected
+
+const { projection: CARD_PROJECTION } = parseFieldsParam('card');
+
+/**
+ * Find an available product by handle, productId or shopifyId
+ * @param {string} handleOrId - Identifier from the URL
+ * @param {Object|null} projection - Optional inclusion projection
+ * @returns {Promise<Object|null>} Lean product, or null when unknown or unavailable
+ */
+async function findProductByHandleOrId(handleOrId, projection = null) {
+  const identifier = String(handleOrId || '').trim();
+  if (!identifier) return null;
+
+  return Product.findOne(
+    {
+      isAvailable: true,
+      $or: [
+        { handle: identifier },
+        { productId: identifier },
+        { shopifyId: identifier }
+      ]
+    },
+    projection
+  ).lean();
+}
+
+/**
+ * Find available products for a mixed list of handles, productIds and shopifyIds
+ * @param {Array<string>} identifiers - Requested identifiers
+ * @param {Object|null} projection - Optional inclusion projection
+ * @returns {Promise<Map>} Identifier -> lean product, for the identifiers that resolved
+ */
+async function findProductsByHandleOrId(identifiers, projection = null) {
+  if (!identifiers.length) return new Map();
+
+  // Identity fields are needed to map documents back to what was asked for
+  const lookupProjection = projection && { ...projection, handle: 1, productId: 1, shopifyId: 1 };
+  const products = await Product.find(
+    {
+      isAvailable: true,
+      $or: [
+        { handle: { $in: identifiers } },
+        { productId: { $in: identifiers } },
+        { shopifyId: { $in: identifiers } }
+      ]
+    },
+    lookupProjection
+  ).lean();
+
+  const byIdentifier = new Map();
+  products.forEach(product => {
+    const matched = [product.handle, product.productId, product.shopifyId];
+    if (projection) {
+      ['handle', 'productId', 'shopifyId'].forEach(field => {
+        if (!projection[field]) delete product[field];
+      });
+    }
+    matched.forEach(identifier => {
+      if (identifier && !byIdentifier.has(identifier)) byIdentifier.set(identifier, product);
+    });
+  });
+
+  return new Map(identifiers.filter(id => byIdentifier.has(id)).map(id => [id, byIdentifier.get(id)]));
+}
+
+/**
+ * Lowest and highest variant price, falling back to the product price
+ * @param {Object} product - Product with variants
+ * @returns {{ min: number, max: number, compareAtMax: number|null }}
+ */
+const getVariantPriceRange = (product) => {
+  const prices = (product.variants || [])
+    .map(variant => variant.price)
+    .filter(price => typeof price === 'number' && !Number.isNaN(price));
+  const compareAtPrices = (product.variants || [])
+    .map(variant => variant.compareAtPrice)
+    .filter(price => typeof price === 'number' && price > 0);
+
+  if (!prices.length) {
+    return { min: product.price, max: product.price, compareAtMax: product.compareAtPrice || null };
+  }
+
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    compareAtMax: compareAtPrices.length ? Math.max(...compareAtPrices) : null
+  };
+};
+
+/**
+ * Units in stock per option value, e.g. { size: { S: 3, M: 0 }, color: { red: 3 } }
+ * @param {Object} product - Product with variants
+ * @returns {Object} Option -> value -> inventory
+ */
+const getStockByOption = (product) => {
+  const stock = {};
+
+  (product.variants || []).forEach(variant => {
+    Object.entries(variant.attributes || {}).forEach(([option, value]) => {
+      if (!value) return;
+      stock[option] = stock[option] || {};
+      stock[option][value] = (stock[option][value] || 0) + Math.max(variant.inventory || 0, 0);
+    });
+  });
+
+  return stock;
+};
+
+/**
+ * Collection handles of the product with their titles
+ * @param {Object} product - Product with collection_handle
+ * @param {string|null} locale - Storefront locale for the titles
+ * @returns {Promise<Array>} [{ handle, title }], title null when the collection isn't synced
+ */
+async function getCollectionTitles(product, locale = null) {
+  const handles = product.collection_handle || [];
+  if (!handles.length) return [];
+
+  // Product handles may differ in case from collection handles, like in collectionService
+  const translationPath = getTranslationPath(locale);
+  const collections = await Collection.find(
+    { handle: { $in: Array.from(new Set(handles.map(handle => handle.toLowerCase()))) } },
+    { handle: 1, title: 1, ...(translationPath && { [`${translationPath}.title`]: 1 }) }
+  ).lean();
+  const titles = new Map(collections.map(collection => [
+    collection.handle.toLowerCase(),
+    localizeCollection(collection, locale).title
+  ]));
+
+  return handles.map(handle => ({ handle, title: titles.get(handle.toLowerCase()) || null }));
+}
+
+/**
+ * Position of the product among available products by sales, null without sales
+ * @param {Object} product - Product with sales counters
+ * @returns {Promise<{ allTime: number|null, last30d: number|null }>}
+ */
+async function getSalesRank(product) {
+  const rankBy = async (field) => {
+    if (!(product[field] > 0)) return null;
+    const ahead = await Product.countDocuments({ isAvailable: true, [field]: { $gt: product[field] } });
+    return ahead + 1;
+  };
+
+  const [allTime, last30d] = await Promise.all([rankBy('sales'), rankBy('sales30d')]);
+  return { allTime, last30d };
+}
+
+/**
+ * Visually and semantically similar products from the vector index
+ * @param {Object} product - Source product
+ * @param {number} limit - Maximum number of products
+ * @returns {Promise<Array>} Card fields plus similarityScore
+ */
+async function getSimilarProducts(product, limit = RELATED_LIMIT) {
+  const id = product._id.toString();
+  const similar = await vectorService.findSimilarProducts(id, limit + 1);
+
+  return similar
+    .filter(item => item._id.toString() !== id && item.isAvailable)
+    .slice(0, limit)
+    .map(item => ({
+      _id: item._id,
+      ...Object.fromEntries(Object.keys(CARD_PROJECTION).map(field => [field, item[field]])),
+      similarityScore: item.similarityScore
+    }));
+}
+
+/**
+ * Products that appear most often in the same orders as this one
+ * @param {Object} product - Source product
+ * @param {number} limit - Maximum number of products
+ * @returns {Promise<Array>} Card fields plus the number of shared orders
+ */
+async function getBoughtTogether(product, limit = RELATED_LIMIT) {
+  const orders = await Order.find({ product_id: product.productId }, { order_id: 1 })
+    .sort({ createdAt: -1 })
+    .limit(BOUGHT_TOGETHER_ORDER_LIMIT)
+    .lean();
+  if (!orders.length) return [];
+
+  const companions = await Order.aggregate([
+    {
+      $match: {
+        order_id: { $in: orders.map(order => order.order_id) },
+        product_id: { $ne: product.productId }
+      }
+    },
+    { $group: { _id: '$product_id', orders: { $addToSet: '$order_id' } } },
+    { $project: { sharedOrders: { $size: '$orders' } } },
+    { $sort: { sharedOrders: -1, _id: 1 } },
+    // Leave room for companions that are no longer available
+    { $limit: limit * 3 }
+  ]);
+
+  const products = await Product.find(
+    { isAvailable: true, productId: { $in: companions.map(companion => companion._id) } },
+    { ...CARD_PROJECTION, productId: 1 }
+  ).lean();
+  const byProductId = new Map(products.map(item => [item.productId, item]));
+
+  return companions
+    .filter(companion => byProductId.has(companion._id))
+    .slice(0, limit)
+    .map(companion => ({ ...byProductId.get(companion._id), sharedOrders: companion.sharedOrders }));
+}
+
+const productDetailService = {
+  findProductByHandleOrId,
+  findProductsByHandleOrId,
+  getVariantPriceRange,
+  getStockByOption,
+  getCollectionTitles,
+  getSalesRank,
+  getSimilarProducts,
+  getBoughtTogether
+};
+
+export default productDetailService;
@@ -0,0 +1,225 @@
+import mongoose from 'mongoose';
+import SearchLog from '../models/SearchLog.js';
+import SearchQueryDaily from '../models/SearchQueryDaily.js';
+import { normalizeSearchTerm } from './searchTermService.js';
+
+/**
+ * Search analytics
+ *
+ * Every search is logged to SearchLog with the normalized query, filters,
+ * result count, latency and session. The log id is handed back to clients as
+ * `searchId` so clicks on results can be attached to the search. Logs expire
+ * after SEARCH_LOG_RETENTION_DAYS; the hourly rollup (cron/searchAnalytics.js)
+ * keeps per-day totals in SearchQueryDaily, which the reports read.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BULK_WRITE_SIZE = 1000;
+const MAX_CLICKS_PER_SEARCH = 50;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Session of a request: X-Session-Id header, or a sessionId query/body param
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+const getSessionId = (req) =>
+  req.get('x-session-id') || req.query.sessionId || req.body?.sessionId || null;
+
+/**
+ * Log a search without waiting for the write
+ * @param {Object} entry
+ * @param {string} entry.query - Raw search query
+ * @param {string} entry.source - products, search or filter
+ * @param {Object} entry.filters - Other filters of the request
+ * @param {number} entry.resultCount - Total results
+ * @param {boolean} entry.relaxed - Filters were relaxed to find results
+ * @param {number} entry.latencyMs - Time to build the response
+ * @param {string|null} entry.sessionId
+ * @returns {string|null} searchId, or null for blank queries
+ */
+function logSearch({ query, source, filters = {}, resultCount = 0, relaxed = false, latencyMs, sessionId = null }) {
+  const normalizedQuery = normalizeSearchTerm(query);
+  if (!normalizedQuery) return null;
+
+  const _id = new mongoose.Types.ObjectId();
+  SearchLog.create({
+    _id,
+    query: String(query),
+    normalizedQuery,
+    source,
+    // Only the filters that were set
+    filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== '')),
+    resultCount,
+    relaxed,
+    latencyMs,
+    sessionId
+  }).catch(err => console.error('Error logging search:', err));
+
+  return _id.toString();
+}
+
+/**
+ * Attach a result click to a logged search
+ * @param {string} searchId - From the search response
+ * @param {Object} click
+ * @param {string} click.productId
+ * @param {number} click.position - 1-based position in the results
+ * @returns {Promise<boolean>} False when the search is unknown or expired
+ */
+async function recordClick(searchId, { productId, position }) {
+  if (!mongoose.Types.ObjectId.isValid(searchId)) return false;
+
+  const result = await SearchLog.updateOne(
+    { _id: searchId },
+    {
+      $inc: { clickCount: 1 },
+      $push: {
+        clicks: {
+          $each: [{ productId: String(productId), position: parseInt(position) || undefined }],
+          $slice: -MAX_CLICKS_PER_SEARCH
+        }
+      }
+    }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Recompute the daily totals of one day from the raw log
+ * @param {Date} day - Any time on the (UTC) day
+ * @returns {Promise<number>} Number of queries rolled up
+ */
+async function rollupDay(day) {
+  const date = startOfDay(day);
+  const end = new Date(date.getTime() + DAY_MS);
+
+  const rows = await SearchLog.aggregate([
+    { $match: { createdAt: { $gte: date, $lt: end } } },
+    {
+      $group: {
+        _id: '$normalizedQuery',
+        searches: { $sum: 1 },
+        zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+        relaxed: { $sum: { $cond: ['$relaxed', 1, 0] } },
+        clicks: { $sum: '$clickCount' },
+        searchesWithClicks: { $sum: { $cond: [{ $gt: ['$clickCount', 0] }, 1, 0] } },
+        sessionIds: { $addToSet: '$sessionId' },
+        totalResults: { $sum: '$resultCount' },
+        totalLatencyMs: { $sum: { $ifNull: ['$latencyMs', 0] } }
+      }
+    },
+    { $addFields: { sessions: { $size: { $setDifference: ['$sessionIds', [null]] } } } },
+    { $project: { sessionIds: 0 } }
+  ]).option({ allowDiskUse: true });
+
+  for (let i = 0; i < rows.length; i += BULK_WRITE_SIZE) {
+    const operations = rows.slice(i, i + BULK_WRITE_SIZE).map(({ _id, ...totals }) => ({
+      updateOne: {
+        filter: { date, normalizedQuery: _id },
+        update: { $set: totals },
+        upsert: true
+      }
+    }));
+    await SearchQueryDaily.bulkWrite(operations, { ordered: false });
+  }
+
+  return rows.length;
+}
+
+const TOTALS = {
+  searches: { $sum: '$searches' },
+  zeroResults: { $sum: '$zeroResults' },
+  relaxed: { $sum: '$relaxed' },
+  clicks: { $sum: '$clicks' },
+  searchesWithClicks: { $sum: '$searchesWithClicks' },
+  totalResults: { $sum: '$totalResults' },
+  totalLatencyMs: { $sum: '$totalLatencyMs' }
+};
+
+const ratio = (numerator, denominator) => ({
+  $cond: [{ $gt: [denominator, 0] }, { $round: [{ $divide: [numerator, denominator] }, 4] }, 0]
+});
+
+const RATES = {
+  ctr: ratio('$searchesWithClicks', '$searches'),
+  zeroResultRate: ratio('$zeroResults', '$searches'),
+  avgLatencyMs: { $round: [ratio('$totalLatencyMs', '$searches'), 0] }
+};
+
+// Totals per query over the last `days` days (today included), with rates
+const queryTotals = (days, stages) => SearchQueryDaily.aggregate([
+  { $match: { date: { $gte: startOfDay(Date.now() - (days - 1) * DAY_MS) } } },
+  { $group: { _id: '$normalizedQuery', ...TOTALS } },
+  { $addFields: RATES },
+  ...stages,
+  { $project: { _id: 0, query: '$_id', searches: 1, zeroResults: 1, relaxed: 1, clicks: 1, ctr: 1, zeroResultRate: 1, avgLatencyMs: 1 } }
+]);
+
+/**
+ * Most searched queries
+ * @param {Object} options - { days, limit }
+ * @returns {Promise<Array>}
+ */
+const getTopQueries = ({ days, limit }) => queryTotals(days, [
+  { $sort: { searches: -1, _id: 1 } },
+  { $limit: limit }
+]);
+
+/**
+ * Queries that returned nothing, most frequent first
+ * @param {Object} options - { days, limit }
+ * @returns {Promise<Array>}
+ */
+const getZeroResultQueries = ({ days, limit }) => queryTotals(days, [
+  { $match: { zeroResults: { $gt: 0 } } },
+  { $sort: { zeroResults: -1, _id: 1 } },
+  { $limit: limit }
+]);
+
+/**
+ * Queries with results that shoppers rarely click, lowest click-through first
+ * @param {Object} options - { days, limit, minSearches }
+ * @returns {Promise<Array>}
+ */
+const getLowCtrQueries = ({ days, limit, minSearches }) => queryTotals(days, [
+  { $match: { searches: { $gte: minSearches }, totalResults: { $gt: 0 } } },
+  { $sort: { ctr: 1, searches: -1, _id: 1 } },
+  { $limit: limit }
+]);
+
+/**
+ * Daily totals for one query, or for all searches
+ * @param {Object} options - { days, query }
+ * @returns {Promise<Array>} [{ date, searches, zeroResults, clicks, ctr, ... }] oldest first
+ */
+const getQueryTrends = ({ days, query }) => {
+  const match = { date: { $gte: startOfDay(Date.now() - (days - 1) * DAY_MS) } };
+  if (query) match.normalizedQuery = normalizeSearchTerm(query);
+
+  return SearchQueryDaily.aggregate([
+    { $match: match },
+    { $group: { _id: '$date', ...TOTALS, queries: { $sum: 1 } } },
+    { $addFields: RATES },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: '$_id', searches: 1, queries: 1, zeroResults: 1, relaxed: 1, clicks: 1, ctr: 1, zeroResultRate: 1, avgLatencyMs: 1 } }
+  ]);
+};
+
+const searchAnalyticsService = {
+  getSessionId,
+  logSearch,
+  recordClick,
+  rollupDay,
+  getTopQueries,
+  getZeroResultQueries,
+  getLowCtrQueries,
+  getQueryTrends
+};
+
+export default searchAnalyticsService;
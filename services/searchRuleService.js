@@ -0,0 +1,120 @@
+import SearchRule from '../models/SearchRule.js';
+import { normalizeSearchTerm } from './searchTermService.js';
+
+/**
+ * Search redirects and banners
+ *
+ * Rules are cached in memory and matched against each search query. The best
+ * redirect (highest priority) and every matching banner are returned so the
+ * listing endpoints can add them to their responses. Fires are counted per
+ * rule in the background.
+ */
+
+const RULE_CACHE_TTL = 60 * 1000; // 1 minute
+
+let ruleCache = null;
+let ruleCacheLoadedAt = 0;
+
+/**
+ * Load enabled rules with their regex patterns compiled
+ * @returns {Promise<Array>}
+ */
+async function loadRules() {
+  if (ruleCache && Date.now() - ruleCacheLoadedAt < RULE_CACHE_TTL) {
+    return ruleCache;
+  }
+
+  const rules = await SearchRule.find({
+    isActive: true,
+    $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }]
+  }).sort({ priority: -1, createdAt: 1 }).lean();
+
+  ruleCache = rules
+    .map(rule => {
+      if (rule.matchType === 'regex') {
+        try {
+          return { ...rule, regex: new RegExp(rule.pattern, 'i') };
+        } catch (error) {
+          console.error(`Skipping search rule ${rule._id} with invalid pattern:`, error.message);
+          return null;
+        }
+      }
+      return { ...rule, normalizedPattern: normalizeSearchTerm(rule.pattern) };
+    })
+    .filter(Boolean);
+  ruleCacheLoadedAt = Date.now();
+  return ruleCache;
+}
+
+/**
+ * Drop cached rules so the next search reloads them
+ */
+function invalidateRules() {
+  ruleCache = null;
+}
+
+const ruleMatches = (rule, query, normalized) => {
+  if (rule.matchType === 'regex') return rule.regex.test(query);
+  if (!rule.normalizedPattern) return false;
+  if (rule.matchType === 'contains') {
+    return ` ${normalized} `.includes(` ${rule.normalizedPattern} `);
+  }
+  return normalized === rule.normalizedPattern;
+};
+
+/**
+ * Find the redirect and banners for a search query
+ * @param {string} search - Raw search query
+ * @returns {Promise<Object>} { redirect: Object|null, banners: Array, rules: Array of matched rules }
+ */
+async function matchSearchRules(search) {
+  const query = String(search || '').trim();
+  const empty = { redirect: null, banners: [], rules: [] };
+  if (!query) return empty;
+
+  const normalized = normalizeSearchTerm(query);
+  const now = new Date();
+  const rules = (await loadRules()).filter(rule =>
+    (!rule.startsAt || new Date(rule.startsAt) <= now) &&
+    (!rule.endsAt || new Date(rule.endsAt) > now) &&
+    ruleMatches(rule, query, normalized)
+  );
+  if (!rules.length) return empty;
+
+  const redirectRule = rules.find(rule => rule.redirect?.collectionHandle || rule.redirect?.url);
+
+  return {
+    redirect: redirectRule
+      ? {
+        ruleId: redirectRule._id,
+        collectionHandle: redirectRule.redirect.collectionHandle || null,
+        url: redirectRule.redirect.url || null
+      }
+      : null,
+    banners: rules
+      .filter(rule => rule.banner?.title || rule.banner?.body || rule.banner?.imageUrl)
+      .map(rule => ({ ruleId: rule._id, ...rule.banner })),
+    rules
+  };
+}
+
+/**
+ * Count a rule firing for each matched rule
+ * @param {Array} rules - Rules returned by matchSearchRules
+ */
+async function recordRuleFires(rules) {
+  if (!rules.length) return;
+
+  await SearchRule.updateMany(
+    { _id: { $in: rules.map(rule => rule._id) } },
+    { $inc: { fireCount: 1 }, $set: { lastFiredAt: new Date() } }
+  );
+}
+
+const searchRuleService = {
+  matchSearchRules,
+  recordRuleFires,
+  invalidateRules
+};
+
+export default searchRuleService;
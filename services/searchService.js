@@ -0,0 +1,125 @@
+import Product from '../models/Product.js';
+import vectorService from './vectorService.js';
+
+// Reciprocal rank fusion damping constant (standard value from the RRF paper)
+const RRF_K = 60;
+
+const SEARCH_MODES = ['hybrid', 'vector', 'text'];
+
+/**
+ * Rank products by the `text_search` index score
+ * @param {string} search - Search term
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Promise<Array>} - Array of { id, score } ordered by score
+ */
+async function searchByText(search, limit) {
+  const matches = await Product.find(
+    { $text: { $search: search }, isAvailable: true },
+    { _id: 1, score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+  return matches.map(product => ({ id: product._id, score: product.score }));
+}
+
+/**
+ * Rank products by embedding similarity in Pinecone
+ * @param {string} search - Search term
+ * @param {number} limit - Maximum number of candidates
+ * @param {number} minScore - Minimum similarity score
+ * @returns {Promise<Array>} - Array of { id, score } ordered by similarity
+ */
+async function searchByVector(search, limit, minScore) {
+  const queryEmbedding = await vectorService.generateQueryEmbedding(search);
+  const similarProducts = await vectorService.searchSimilarProducts(queryEmbedding, { limit, minScore });
+
+  return similarProducts.map(product => ({ id: product._id, score: product.similarityScore }));
+}
+
+/**
+ * Hybrid lexical + vector search
+ *
+ * Runs the text index and vector searches side by side and merges them with
+ * reciprocal rank fusion, so an exact keyword match is kept even when its
+ * vector score is low, and semantic matches are kept without any shared words.
+ * A failing source is logged and skipped so search degrades to the other one.
+ *
+ * @param {string} search - Search term
+ * @param {Object} options - Search options
+ * @param {string} options.mode - `hybrid` (default), `vector` or `text`
+ * @param {string} options.textQuery - Lexical query when it differs from `search` (e.g. with synonyms)
+ * @param {number} options.textLimit - Lexical candidates to consider
+ * @param {number} options.vectorLimit - Vector candidates to consider
+ * @param {number} options.minVectorScore - Minimum vector similarity
+ * @returns {Promise<Object>} - { ids, scores } with ids ordered by relevance and
+ *   scores mapping each id to { relevance, textScore, vectorScore }
+ */
+async function hybridSearch(search, options = {}) {
+  const {
+    mode = 'hybrid',
+    textQuery = search,
+    textLimit = 500,
+    vectorLimit = 100,
+    minVectorScore = 0.6
+  } = options;
+
+  const searchMode = SEARCH_MODES.includes(mode) ? mode : 'hybrid';
+
+  const [textMatches, vectorMatches] = await Promise.all([
+    searchMode === 'vector' ? [] : searchByText(textQuery, textLimit).catch(error => {
+      console.error('Text search failed:', error);
+      return [];
+    }),
+    searchMode === 'text' ? [] : searchByVector(search, vectorLimit, minVectorScore).catch(error => {
+      console.error('Vector search failed:', error);
+      return [];
+    })
+  ]);
+
+  const scores = new Map();
+  const fuse = (matches, scoreField) => {
+    matches.forEach(({ id, score }, rank) => {
+      const key = id.toString();
+      const entry = scores.get(key) || { id, relevance: 0, textScore: null, vectorScore: null };
+      entry.relevance += 1 / (RRF_K + rank + 1);
+      entry[scoreField] = score;
+      scores.set(key, entry);
+    });
+  };
+
+  fuse(textMatches, 'textScore');
+  fuse(vectorMatches, 'vectorScore');
+
+  const ranked = Array.from(scores.values()).sort((a, b) => b.relevance - a.relevance);
+
+  return {
+    ids: ranked.map(entry => entry.id),
+    scores: new Map(ranked.map(({ id, ...score }) => [id.toString(), score]))
+  };
+}
+
+/**
+ * Number of ranked products that matched by keyword
+ * Used to compare a query against its spelling correction
+ * @param {Object} ranking - Result of hybridSearch
+ * @returns {number}
+ */
+function countTextMatches(ranking) {
+  let count = 0;
+  ranking.scores.forEach(score => {
+    if (score.textScore !== null) count += 1;
+  });
+  return count;
+}
+
+const searchService = {
+  hybridSearch,
+  countTextMatches,
+  searchByText,
+  searchByVector
+};
+
+export { SEARCH_MODES };
+export default searchService;
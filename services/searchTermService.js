@@ -0,0 +1,204 @@
+import Synonym from '../models/Synonym.js';
+import suggestionService from './suggestionService.js';
+
+/**
+ * Search term analysis: normalization, synonym expansion and typo correction
+ *
+ * Synonyms come from the Synonym collection (managed through the API) and are
+ * cached in memory. Typos are corrected per word against the vocabulary of
+ * product names, brands and tags using a bounded Damerau-Levenshtein distance.
+ */
+
+const SYNONYM_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+let synonymCache = null;
+let synonymCacheLoadedAt = 0;
+
+/**
+ * Normalizes a search term for matching
+ * Lowercases, drops possessives and simple plurals, and turns hyphens into spaces
+ * @param {string} term - Raw search term
+ * @returns {string} Normalized term
+ */
+const normalizeSearchTerm = (term) => {
+  return String(term || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')              // remove possessive 's or ’s
+    .replace(/\b(\w{2,}[^\Ws])s\b/g, '$1') // remove plural trailing 's' but keep "dress"
+    .replace(/-/g, ' ')                   // replace hyphens with spaces
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Typos allowed for a word of this length; short words must match exactly
+const getMaxDistance = (word) => {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+};
+
+/**
+ * Optimal string alignment distance with an early exit above `max`
+ * @returns {number} Distance, or max + 1 when it exceeds max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      // Transposition of two adjacent characters
+      if (prevPrev && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Closest vocabulary word within the allowed distance, preferring common words
+ * @param {string} word - Normalized word
+ * @param {Map} vocabulary - Word -> product count
+ * @returns {string} Corrected word, or the word itself when nothing is close
+ */
+const correctWord = (word, vocabulary) => {
+  const maxDistance = getMaxDistance(word);
+  if (!maxDistance || vocabulary.has(word)) return word;
+
+  let best = null;
+  for (const [candidate, count] of vocabulary) {
+    // Typos rarely hit the first letter, and skipping saves most comparisons
+    if (candidate[0] !== word[0]) continue;
+
+    const distance = editDistance(word, candidate, maxDistance);
+    if (distance > maxDistance) continue;
+
+    if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+      best = { word: candidate, distance, count };
+    }
+  }
+
+  return best ? best.word : word;
+};
+
+/**
+ * Load synonym rules into a term -> Set(synonyms) map
+ * @returns {Promise<Map>}
+ */
+async function loadSynonyms() {
+  if (synonymCache && Date.now() - synonymCacheLoadedAt < SYNONYM_CACHE_TTL) {
+    return synonymCache;
+  }
+
+  const rules = await Synonym.find({}).lean();
+  const synonymMap = new Map();
+  const link = (from, to) => {
+    if (from === to) return;
+    if (!synonymMap.has(from)) synonymMap.set(from, new Set());
+    synonymMap.get(from).add(to);
+  };
+
+  rules.forEach(({ term, synonyms = [], bidirectional }) => {
+    synonyms.forEach(synonym => {
+      link(term, synonym);
+      if (bidirectional) {
+        link(synonym, term);
+        synonyms.forEach(other => link(synonym, other));
+      }
+    });
+  });
+
+  synonymCache = synonymMap;
+  synonymCacheLoadedAt = Date.now();
+  return synonymMap;
+}
+
+/**
+ * Drop cached synonyms so the next search reloads them
+ */
+function invalidateSynonyms() {
+  synonymCache = null;
+}
+
+/**
+ * Expand a phrase with whole-phrase and per-word synonyms
+ * @param {string} phrase - Normalized phrase
+ * @param {Map} synonymMap - Loaded synonyms
+ * @returns {Array<string>} The phrase followed by its variants
+ */
+const expandSynonyms = (phrase, synonymMap) => {
+  const terms = new Set([phrase]);
+  (synonymMap.get(phrase) || []).forEach(synonym => terms.add(synonym));
+
+  const words = phrase.split(' ');
+  words.forEach((word, i) => {
+    (synonymMap.get(word) || []).forEach(synonym => {
+      terms.add([...words.slice(0, i), synonym, ...words.slice(i + 1)].join(' '));
+    });
+  });
+
+  return Array.from(terms);
+};
+
+/**
+ * Analyze a search term
+ * @param {string} search - Raw search term
+ * @returns {Promise<Object>} {
+ *   normalized, terms: normalized term and synonym variants,
+ *   corrected: typo-corrected term or null, correctedTerms: its variants
+ * }
+ */
+async function analyzeSearchTerm(search) {
+  const normalized = normalizeSearchTerm(search);
+
+  const [synonymMap, vocabulary] = await Promise.all([
+    loadSynonyms().catch(error => {
+      console.error('Error loading synonyms:', error);
+      return new Map();
+    }),
+    suggestionService.getVocabulary().catch(error => {
+      console.error('Error loading search vocabulary:', error);
+      return new Map();
+    })
+  ]);
+
+  // Words with a synonym rule are intentional, so they are never "corrected"
+  const corrected = normalized
+    .split(' ')
+    .map(word => (synonymMap.has(word) ? word : correctWord(word, vocabulary)))
+    .join(' ');
+  const hasCorrection = corrected !== normalized;
+
+  return {
+    normalized,
+    terms: expandSynonyms(normalized, synonymMap),
+    corrected: hasCorrection ? corrected : null,
+    correctedTerms: hasCorrection ? expandSynonyms(corrected, synonymMap) : []
+  };
+}
+
+const searchTermService = {
+  analyzeSearchTerm,
+  loadSynonyms,
+  invalidateSynonyms
+};
+
+export { normalizeSearchTerm, editDistance };
+export default searchTermService;
@@ -0,0 +1,226 @@
+import Collection from '../models/Collection.js';
+import Product from '../models/Product.js';
+import {
+  RULE_PRODUCT_FIELDS, normalizeRule, isEvaluable, matchesCollection
+} from '../utils/collectionRules.js';
+
+/**
+ * Smart collection membership computed locally
+ *
+ * Rules synced from Shopify (collection webhook and migration) are evaluated
+ * against stored products, so `collection_handle` (and the `collections` titles)
+ * follow a rule change right away instead of re-paging the collection from
+ * Shopify, and a product's smart collections follow its own changes. Custom
+ * collections and rules that can't be evaluated locally are left to the
+ * Shopify sync.
+ */
+
+const COLLECTION_CACHE_TTL = 60 * 1000; // 1 minute
+const PREVIEW_LIMIT = 100;
+
+let collectionCache = null;
+let collectionCacheLoadedAt = 0;
+
+/**
+ * Load smart collections whose rules can be evaluated locally
+ * @returns {Promise<Array>}
+ */
+async function loadSmartCollections() {
+  if (collectionCache && Date.now() - collectionCacheLoadedAt < COLLECTION_CACHE_TTL) {
+    return collectionCache;
+  }
+
+  const collections = await Collection.find(
+    { 'rules.0': { $exists: true } },
+    { handle: 1, title: 1, rules: 1, disjunctive: 1 }
+  ).lean();
+  collectionCache = collections.filter(isEvaluable);
+  collectionCacheLoadedAt = Date.now();
+  return collectionCache;
+}
+
+/**
+ * Drop cached collections so the next evaluation reloads them
+ */
+function invalidateSmartCollections() {
+  collectionCache = null;
+}
+
+const hasHandle = (product, handle) =>
+  (product.collection_handle || []).some(value => String(value).toLowerCase() === handle.toLowerCase());
+
+/**
+ * Store the rules of a collection
+ * @param {Object} collection
+ * @param {string} collection.shopifyId - Collection GID
+ * @param {string} collection.handle
+ * @param {string} collection.title
+ * @param {Array} collection.rules - Shopify rules, REST or GraphQL form; empty for custom collections
+ * @param {boolean} collection.disjunctive - Match any rule instead of all
+ * @returns {Promise<void>}
+ */
+async function saveCollectionRules({ shopifyId, handle, title, rules = [], disjunctive = false }) {
+  await Collection.updateOne(
+    { shopifyId },
+    { $set: { handle, title, rules: rules.map(normalizeRule), disjunctive: Boolean(disjunctive) } },
+    { upsert: true }
+  );
+  invalidateSmartCollections();
+}
+
+/**
+ * Products that would join or leave a smart collection under the given rules
+ * @param {Object} collection - { handle, rules, disjunctive }
+ * @returns {Promise<Object>} { matched, added, removed } with product ids
+ */
+async function diffCollection({ handle, rules, disjunctive }) {
+  const diff = { matched: 0, added: [], removed: [] };
+  const cursor = Product.find({}, { ...RULE_PRODUCT_FIELDS, collection_handle: 1 }).lean().cursor();
+
+  for await (const product of cursor) {
+    const matches = matchesCollection(product, { rules, disjunctive });
+    const listed = hasHandle(product, handle);
+    if (matches) diff.matched += 1;
+    if (matches && !listed) diff.added.push(product._id);
+    if (!matches && listed) diff.removed.push(product._id);
+  }
+
+  return diff;
+}
+
+/**
+ * Recompute a smart collection's products from its rules
+ * @param {Object} collection - { handle, title, rules, disjunctive }
+ * @returns {Promise<Object>} { matched, added, removed } counts
+ */
+async function applyCollection(collection) {
+  const { handle, title } = collection;
+  const { matched, added, removed } = await diffCollection(collection);
+
+  if (added.length) {
+    await Product.updateMany(
+      { _id: { $in: added } },
+      { $addToSet: { collection_handle: handle, ...(title ? { collections: title } : {}) } }
+    );
+  }
+  if (removed.length) {
+    await Product.updateMany(
+      { _id: { $in: removed } },
+      { $pull: { collection_handle: handle, ...(title ? { collections: title } : {}) } }
+    );
+  }
+
+  return { matched, added: added.length, removed: removed.length };
+}
+
+/**
+ * Store a collection's rules and, when they can be evaluated locally, recompute its products
+ * @param {Object} collection - { shopifyId, handle, title, rules, disjunctive }
+ * @returns {Promise<Object|null>} Counts from applyCollection, null when left to the Shopify sync
+ */
+async function syncSmartCollection(collection) {
+  await saveCollectionRules(collection);
+  if (!isEvaluable(collection)) return null;
+
+  const result = await applyCollection(collection);
+  console.log(`Smart collection ${collection.handle}: ${result.matched} products (+${result.added}, -${result.removed})`);
+  return result;
+}
+
+/**
+ * Recompute which smart collections a product belongs to
+ * Custom collection handles are left as they are
+ * @param {Object} filter - Product filter, e.g. { shopifyId }
+ * @returns {Promise<Object|null>} { added, removed } handles, null when the product doesn't exist
+ */
+async function applyToProduct(filter) {
+  const product = await Product.findOne(filter, { ...RULE_PRODUCT_FIELDS, collection_handle: 1 }).lean();
+  if (!product) return null;
+
+  const collections = await loadSmartCollections();
+  const added = collections.filter(collection =>
+    matchesCollection(product, collection) && !hasHandle(product, collection.handle)
+  );
+  const removed = collections.filter(collection =>
+    !matchesCollection(product, collection) && hasHandle(product, collection.handle)
+  );
+
+  // Adding and removing the same array in one update conflicts, so they are separate writes
+  const titles = collection => (collection.title ? [collection.title] : []);
+  if (added.length) {
+    await Product.updateOne({ _id: product._id }, {
+      $addToSet: {
+        collection_handle: { $each: added.map(collection => collection.handle) },
+        collections: { $each: added.flatMap(titles) }
+      }
+    });
+  }
+  if (removed.length) {
+    await Product.updateOne({ _id: product._id }, {
+      $pull: {
+        collection_handle: { $in: removed.map(collection => collection.handle) },
+        collections: { $in: removed.flatMap(titles) }
+      }
+    });
+  }
+
+  return {
+    added: added.map(collection => collection.handle),
+    removed: removed.map(collection => collection.handle)
+  };
+}
+
+/**
+ * Dry run of a collection's rules, or of proposed ones
+ * @param {string} handle - Collection handle
+ * @param {Object} overrides - Optional { rules, disjunctive } to try instead of the stored ones
+ * @returns {Promise<Object|null>} Counts and up to PREVIEW_LIMIT products per change, null for unknown collections
+ */
+async function previewCollection(handle, overrides = {}) {
+  const collection = await Collection.findOne(
+    { handle: handle.toLowerCase() },
+    { handle: 1, title: 1, rules: 1, disjunctive: 1 }
+  ).lean();
+  if (!collection) return null;
+
+  const rules = (overrides.rules || collection.rules || []).map(normalizeRule);
+  const disjunctive = overrides.disjunctive !== undefined
+    ? overrides.disjunctive === true || overrides.disjunctive === 'true'
+    : Boolean(collection.disjunctive);
+
+  if (!isEvaluable({ rules })) {
+    return { handle: collection.handle, rules, disjunctive, evaluable: false };
+  }
+
+  const { matched, added, removed } = await diffCollection({ handle: collection.handle, rules, disjunctive });
+  const summary = { name: 1, handle: 1, price: 1, imageUrl: 1 };
+  const [addedProducts, removedProducts] = await Promise.all([
+    Product.find({ _id: { $in: added.slice(0, PREVIEW_LIMIT) } }, summary).lean(),
+    Product.find({ _id: { $in: removed.slice(0, PREVIEW_LIMIT) } }, summary).lean()
+  ]);
+
+  return {
+    handle: collection.handle,
+    rules,
+    disjunctive,
+    evaluable: true,
+    matched,
+    addedCount: added.length,
+    removedCount: removed.length,
+    added: addedProducts,
+    removed: removedProducts
+  };
+}
+
+const smartCollectionService = {
+  loadSmartCollections,
+  invalidateSmartCollections,
+  saveCollectionRules,
+  diffCollection,
+  applyCollection,
+  syncSmartCollection,
+  applyToProduct,
+  previewCollection
+};
+
+export default smartCollectionService;
@@ -0,0 +1,269 @@
+import Product from '../models/Product.js';
+import Collection from '../models/Collection.js';
+import CollectionState from '../models/CollectionState.js';
+import SearchQuery from '../models/SearchQuery.js';
+
+/**
+ * Search-as-you-type suggestions
+ *
+ * Keeps an in-memory prefix index over product names, brands, tags,
+ * collection titles and popular past queries so autocomplete never has to hit
+ * the embedding API or run the full product query. Each group is a sorted
+ * array of normalized keys; a lookup is a binary search to the first key with
+ * the prefix followed by a bounded forward scan.
+ */
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_SCAN = 2000; // Upper bound on keys inspected per group and lookup
+const REFRESH_DELAY = 30 * 1000; // Debounce for sync-triggered rebuilds
+const MAX_INDEX_AGE = 15 * 60 * 1000; // Picks up newly popular queries
+const POPULAR_QUERY_LIMIT = 5000;
+
+const index = {
+  products: [],
+  brands: [],
+  collections: [],
+  queries: [],
+  // Word -> number of products using it, for typo correction
+  vocabulary: new Map(),
+  builtAt: null
+};
+
+let buildPromise = null;
+let refreshTimer = null;
+
+const normalizeSuggestionText = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Every word-start suffix, so "red silk saree" is found by "silk" and "saree" too
+const getWordSuffixes = (text) => {
+  const words = normalizeSuggestionText(text).split(' ').filter(Boolean);
+  return words.map((_, i) => words.slice(i).join(' '));
+};
+
+const sortKeys = (keys) => keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+const lowerBound = (keys, prefix) => {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (keys[mid].key < prefix) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Find entries whose key starts with the prefix, best weight first
+ * @param {Array} keys - Sorted { key, entry } list
+ * @param {string} prefix - Normalized prefix
+ * @param {number} limit - Maximum number of entries
+ * @returns {Array} Unique entries
+ */
+const findByPrefix = (keys, prefix, limit) => {
+  const matches = new Map();
+  const start = lowerBound(keys, prefix);
+  const end = Math.min(keys.length, start + MAX_SCAN);
+
+  for (let i = start; i < end && keys[i].key.startsWith(prefix); i++) {
+    matches.set(keys[i].entry.id, keys[i].entry);
+  }
+
+  return Array.from(matches.values())
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit);
+};
+
+/**
+ * Rebuild the prefix index from MongoDB
+ * @returns {Promise<Object>} Index sizes
+ */
+async function buildSuggestionIndex() {
+  const [products, collections, collectionStates, queries] = await Promise.all([
+    Product.find(
+      { isAvailable: true },
+      { name: 1, handle: 1, brand: 1, tags: 1, imageUrl: 1, price: 1, featured: 1, sales: 1 }
+    ).lean(),
+    Collection.find({}, { title: 1, handle: 1, productCount: 1 }).lean(),
+    CollectionState.find({}, { title: 1, handle: 1 }).lean(),
+    SearchQuery.find({}, { query: 1, count: 1 }).sort({ count: -1 }).limit(POPULAR_QUERY_LIMIT).lean()
+  ]);
+
+  const productKeys = [];
+  const brandCounts = new Map();
+  const vocabulary = new Map();
+
+  products.forEach(product => {
+    const entry = {
+      id: product._id.toString(),
+      name: product.name,
+      handle: product.handle,
+      imageUrl: product.imageUrl,
+      price: product.price,
+      weight: (product.sales || 0) + (product.featured || 0)
+    };
+    const keys = new Set([
+      ...getWordSuffixes(product.name),
+      ...(product.tags || []).map(normalizeSuggestionText)
+    ]);
+    keys.forEach(key => key && productKeys.push({ key, entry }));
+
+    const words = new Set(
+      [product.name, product.brand, ...(product.tags || [])]
+        .flatMap(text => normalizeSuggestionText(text).split(' '))
+        .filter(word => word.length >= 3 && !/^\d+$/.test(word))
+    );
+    words.forEach(word => vocabulary.set(word, (vocabulary.get(word) || 0) + 1));
+
+    if (product.brand) {
+      const brandKey = normalizeSuggestionText(product.brand);
+      const brand = brandCounts.get(brandKey) || { id: brandKey, value: product.brand, count: 0, weight: 0 };
+      brand.count += 1;
+      brand.weight = brand.count;
+      brandCounts.set(brandKey, brand);
+    }
+  });
+
+  const brandKeys = [];
+  brandCounts.forEach(entry => {
+    getWordSuffixes(entry.value).forEach(key => brandKeys.push({ key, entry }));
+  });
+
+  // Collection titles come from both the synced collections and webhook state
+  const collectionsByHandle = new Map();
+  [...collections, ...collectionStates].forEach(collection => {
+    if (!collection.handle || !collection.title) return;
+    const existing = collectionsByHandle.get(collection.handle);
+    collectionsByHandle.set(collection.handle, {
+      id: collection.handle,
+      title: collection.title,
+      handle: collection.handle,
+      weight: Math.max(existing?.weight || 0, collection.productCount || 0)
+    });
+  });
+
+  const collectionKeys = [];
+  collectionsByHandle.forEach(entry => {
+    getWordSuffixes(entry.title).forEach(key => collectionKeys.push({ key, entry }));
+  });
+
+  const queryKeys = queries.map(({ query, count }) => ({
+    key: query,
+    entry: { id: query, query, count, weight: count }
+  }));
+
+  index.products = sortKeys(productKeys);
+  index.brands = sortKeys(brandKeys);
+  index.collections = sortKeys(collectionKeys);
+  index.queries = sortKeys(queryKeys);
+  index.vocabulary = vocabulary;
+  index.builtAt = new Date();
+
+  console.log(`Suggestion index built: ${products.length} products, ${brandCounts.size} brands, ${collectionsByHandle.size} collections, ${queries.length} queries`);
+
+  return {
+    products: products.length,
+    brands: brandCounts.size,
+    collections: collectionsByHandle.size,
+    queries: queries.length
+  };
+}
+
+// Builds the index once; concurrent callers share the same build.
+// A stale index keeps serving while it is rebuilt in the background.
+const ensureSuggestionIndex = () => {
+  if (index.builtAt) {
+    if (Date.now() - index.builtAt.getTime() > MAX_INDEX_AGE) {
+      scheduleSuggestionRefresh();
+    }
+    return Promise.resolve();
+  }
+  if (!buildPromise) {
+    buildPromise = buildSuggestionIndex().finally(() => {
+      buildPromise = null;
+    });
+  }
+  return buildPromise;
+};
+
+/**
+ * Schedule a debounced rebuild, called whenever products or collections sync
+ */
+function scheduleSuggestionRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    buildSuggestionIndex().catch(error => console.error('Error rebuilding suggestion index:', error));
+  }, REFRESH_DELAY);
+  refreshTimer.unref?.();
+}
+
+/**
+ * Get suggestions for a partial query
+ * @param {string} q - What the shopper has typed so far
+ * @param {number} limit - Maximum suggestions per group
+ * @returns {Promise<Object>} Grouped suggestions
+ */
+async function getSuggestions(q, limit = 5) {
+  const prefix = normalizeSuggestionText(q);
+  const empty = { query: prefix, products: [], brands: [], collections: [], queries: [] };
+
+  if (prefix.length < MIN_PREFIX_LENGTH) {
+    return empty;
+  }
+
+  await ensureSuggestionIndex();
+
+  return {
+    query: prefix,
+    products: findByPrefix(index.products, prefix, limit)
+      .map(({ name, handle, imageUrl, price }) => ({ name, handle, imageUrl, price })),
+    brands: findByPrefix(index.brands, prefix, limit)
+      .map(({ value, count }) => ({ value, count })),
+    collections: findByPrefix(index.collections, prefix, limit)
+      .map(({ title, handle }) => ({ title, handle })),
+    queries: findByPrefix(index.queries, prefix, limit)
+      .map(({ query, count }) => ({ query, count }))
+  };
+}
+
+/**
+ * Words used in product names, brands and tags with their product counts
+ * @returns {Promise<Map>} Word -> product count
+ */
+async function getVocabulary() {
+  await ensureSuggestionIndex();
+  return index.vocabulary;
+}
+
+/**
+ * Count a submitted search so it can be suggested to other shoppers
+ * @param {string} query - Raw search query
+ */
+async function recordSearchQuery(query) {
+  const normalized = normalizeSuggestionText(query);
+  if (normalized.length < MIN_PREFIX_LENGTH) return;
+
+  await SearchQuery.updateOne(
+    { query: normalized },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+const suggestionService = {
+  buildSuggestionIndex,
+  scheduleSuggestionRefresh,
+  getSuggestions,
+  getVocabulary,
+  recordSearchQuery
+};
+
+export { normalizeSuggestionText };
+export default suggestionService;
@@ -0,0 +1,144 @@
+import { shopifyClient } from '../config/shopify.js';
+import localeConfig from '../config/locale.js';
+import { translationsQuery } from '../graphql/queries/translations.js';
+import Product from '../models/Product.js';
+import Collection from '../models/Collection.js';
+
+/**
+ * Translations from Shopify's translatable resources
+ *
+ * Synced per locale in STOREFRONT_LOCALES alongside products and collections and
+ * stored under `translations.<locale>`. Shopify keys are mapped onto our fields
+ * (title -> name, body_html -> description, ...); tags come from a comma
+ * separated `tags` translation when the store provides one.
+ */
+
+const RESOURCES_PER_QUERY = 250;
+const LABEL_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const stripHtml = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const PRODUCT_KEYS = {
+  title: value => ({ name: value }),
+  body_html: value => ({ description: stripHtml(value) }),
+  product_type: value => ({ productType: value }),
+  tags: value => ({ tags: value.split(',').map(tag => tag.trim()).filter(Boolean) })
+};
+
+const COLLECTION_KEYS = {
+  title: value => ({ title: value }),
+  body_html: value => ({ descriptionHtml: value, description: stripHtml(value) })
+};
+
+/**
+ * Fetch translations for Shopify resources in every storefront locale
+ * @param {Array<string>} resourceIds - Shopify GIDs of products or collections
+ * @param {Object} keyMap - Shopify translation key -> field mapper
+ * @returns {Promise<Map>} resourceId -> { [locale]: { field: value } }, only for translated resources
+ */
+async function fetchTranslations(resourceIds, keyMap) {
+  const translations = new Map();
+  const locales = localeConfig.locales.filter(locale => locale !== localeConfig.defaultLocale);
+
+  for (const locale of locales) {
+    for (let i = 0; i < resourceIds.length; i += RESOURCES_PER_QUERY) {
+      const data = await shopifyClient.query(translationsQuery, {
+        resourceIds: resourceIds.slice(i, i + RESOURCES_PER_QUERY),
+        locale
+      });
+
+      data.translatableResourcesByIds.edges.forEach(({ node }) => {
+        const fields = node.translations.reduce((acc, { key, value }) => (
+          keyMap[key] && value ? { ...acc, ...keyMap[key](value) } : acc
+        ), {});
+        if (!Object.keys(fields).length) return;
+
+        const entry = translations.get(node.resourceId) || {};
+        entry[locale] = fields;
+        translations.set(node.resourceId, entry);
+      });
+    }
+  }
+
+  return translations;
+}
+
+/**
+ * Product translations keyed by Shopify product GID
+ * @param {Array<string>} shopifyIds
+ * @returns {Promise<Map>}
+ */
+const fetchProductTranslations = (shopifyIds) => fetchTranslations(shopifyIds, PRODUCT_KEYS);
+
+/**
+ * Collection translations keyed by Shopify collection GID
+ * @param {Array<string>} shopifyIds
+ * @returns {Promise<Map>}
+ */
+const fetchCollectionTranslations = (shopifyIds) => fetchTranslations(shopifyIds, COLLECTION_KEYS);
+
+/**
+ * Fetch and store translations of collections that changed in Shopify
+ * Stored translations are left as they are when the fetch fails
+ * @param {Array<string>} shopifyIds - Collection GIDs
+ * @returns {Promise<number>} Number of collections updated
+ */
+async function refreshCollectionTranslations(shopifyIds) {
+  const translations = await fetchCollectionTranslations(shopifyIds);
+  const result = await Collection.bulkWrite(shopifyIds.map(shopifyId => ({
+    updateOne: {
+      filter: { shopifyId },
+      update: { $set: { translations: translations.get(shopifyId) || {} } }
+    }
+  })), { ordered: false });
+  return result.modifiedCount;
+}
+
+const labelCache = new Map();
+
+/**
+ * Translated facet labels for one locale
+ * Collection facets list titles or handles and category/product type facets
+ * list product types, so both are keyed by their lowercased default value
+ * @param {string} locale - Non-default locale
+ * @returns {Promise<Object>} { collections: Map, productTypes: Map }
+ */
+async function getFacetLabels(locale) {
+  const cached = labelCache.get(locale);
+  if (cached && Date.now() - cached.loadedAt < LABEL_CACHE_TTL) {
+    return cached.labels;
+  }
+
+  const translated = field => ({ [`translations.${locale}.${field}`]: { $nin: [null, ''] } });
+
+  const [collections, productTypes] = await Promise.all([
+    Collection.find(translated('title'), { title: 1, handle: 1, [`translations.${locale}.title`]: 1 }).lean(),
+    Product.aggregate([
+      { $match: translated('productType') },
+      { $group: { _id: { $toLower: '$productType' }, label: { $first: `$translations.${locale}.productType` } } }
+    ])
+  ]);
+
+  const collectionLabels = new Map();
+  collections.forEach(({ title, handle, translations }) => {
+    const label = translations[locale].title;
+    if (title) collectionLabels.set(title.toLowerCase(), label);
+    if (handle) collectionLabels.set(handle.toLowerCase(), label);
+  });
+
+  const labels = {
+    collections: collectionLabels,
+    productTypes: new Map(productTypes.map(({ _id, label }) => [_id, label]))
+  };
+  labelCache.set(locale, { labels, loadedAt: Date.now() });
+  return labels;
+}
+
+const translationService = {
+  fetchProductTranslations,
+  fetchCollectionTranslations,
+  refreshCollectionTranslations,
+  getFacetLabels
+};
+
+export default translationService;
@@ -146,6 +146,19 @@ async function searchSimilarProducts(queryEmbedding, options = {}) {
   }
 }
 
+/**
+ * Generate an embedding for a free-text search query
+ * @param {string} query - Search query
+ * @returns {Promise<number[]>} - Query embedding
+ */
+async function generateQueryEmbedding(query) {
+  const embedding = await generateEmbedding(query);
+  if (!embedding) {
+    throw new Error('Failed to generate query embedding');
+  }
+  return embedding;
+}
+
 /**
  * Search products by natural language query
  * @param {string} query - Natural language query
@@ -155,7 +168,7 @@ async function searchSimilarProducts(queryEmbedding, options = {}) {
 async function searchProductsByQuery(query, options = {}) {
   try {
     // Generate embedding for the query
-    const queryEmbedding = await embeddingService.generateEmbedding(query);
+    const queryEmbedding = await generateQueryEmbedding(query);
     
     // Search for similar products
     const results = await searchSimilarProducts(queryEmbedding, options);
@@ -172,6 +185,7 @@ const vectorService = {
   findSimilarProducts,
   searchSimilarProducts,
   searchProductsByQuery,
+  generateQueryEmbedding,
 };
 
 export default vectorService;
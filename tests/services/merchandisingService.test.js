@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import merchandisingService from '../../services/merchandisingService.js';
+import { encodeCursor, decodeCursor } from '../../utils/pagination.js';
+
+const { getPinIndexes, placePins } = merchandisingService;
+
+const pin = (id, position) => ({ product: { _id: id }, position });
+const organic = (count, from = 1) => Array.from({ length: count }, (_, i) => ({ _id: `o${from + i}` }));
+const ids = (products) => products.map(product => product._id);
+
+describe('getPinIndexes', () => {
+  test('maps 1-based positions to 0-based indexes', () => {
+    expect(getPinIndexes([pin('a', 1), pin('b', 4), pin('c', 6)], 10)).toEqual([0, 3, 5]);
+  });
+
+  test('keeps indexes strictly increasing on equal positions', () => {
+    expect(getPinIndexes([pin('a', 2), pin('b', 2), pin('c', 3)], 10)).toEqual([1, 2, 3]);
+  });
+
+  test('moves pins past the end of the results up to the end', () => {
+    expect(getPinIndexes([pin('a', 1), pin('b', 20)], 3)).toEqual([0, 4]);
+    expect(getPinIndexes([pin('a', 5)], 0)).toEqual([0]);
+  });
+});
+
+describe('placePins', () => {
+  const limit = 4;
+  const pins = [pin('a', 1), pin('b', limit), pin('c', limit + 2)];
+  const pinIndexes = getPinIndexes(pins, 10);
+
+  test('places pins at position 1 and at the last slot of the first page', () => {
+    const placed = placePins(organic(limit + 1), pins, pinIndexes, { offset: 0, limit });
+
+    expect(ids(placed.products)).toEqual(['a', 'o1', 'o2', 'b']);
+    expect(placed.products[0].pinned).toBe(true);
+    expect(placed.products[3].pinned).toBe(true);
+    expect(placed.consumed).toBe(2);
+  });
+
+  test('places pins beyond the first page on the page they fall on', () => {
+    const placed = placePins(organic(5, 3), pins, pinIndexes, { offset: limit, limit });
+
+    expect(ids(placed.products)).toEqual(['o3', 'c', 'o4', 'o5']);
+    expect(placed.consumed).toBe(3);
+  });
+
+  test('reports nothing consumed when pins fill the page', () => {
+    const fullPins = [pin('a', 1), pin('b', 2)];
+    const placed = placePins(organic(3), fullPins, getPinIndexes(fullPins, 3), { offset: 0, limit: 2 });
+
+    expect(ids(placed.products)).toEqual(['a', 'b']);
+    expect(placed.consumed).toBe(0);
+  });
+
+  test('stops at the end of the results', () => {
+    const placed = placePins(organic(1), [pin('a', 3)], getPinIndexes([pin('a', 3)], 1), { offset: 0, limit });
+
+    expect(ids(placed.products)).toEqual(['o1', 'a']);
+    expect(placed.consumed).toBe(1);
+  });
+});
+
+describe('cursor walk with pins', () => {
+  const limit = 4;
+  const sort = { rank: 1, _id: 1 };
+  const catalog = Array.from({ length: 10 }, (_, i) => ({ _id: new mongoose.Types.ObjectId(), name: `p${i + 1}`, rank: i + 1 }));
+  const names = (products) => products.map(product => product.name);
+
+  // Follows nextCursor like getProducts: pinned products are left out of the keyset listing
+  // and placed by the slot offset the cursor carries
+  const walk = (pins) => {
+    const pinned = new Set(pins.map(({ product }) => product._id));
+    const listed = catalog.filter(product => !pinned.has(product._id));
+    const pinIndexes = getPinIndexes(pins, listed.length);
+    const total = listed.length + pins.length;
+    const pages = [];
+
+    let cursor = null;
+    do {
+      const { values, offset } = cursor ? decodeCursor(cursor, sort) : { values: [], offset: 0 };
+      const remaining = listed.filter(product => !values.length || product.rank > values[0]);
+      const placed = placePins(remaining.slice(0, limit + 1), pins, pinIndexes, { offset, limit });
+      pages.push(names(placed.products));
+
+      cursor = offset + limit < total
+        ? encodeCursor(remaining[placed.consumed - 1] || null, sort, offset + placed.products.length)
+        : null;
+    } while (cursor);
+
+    return pages;
+  };
+
+  test('places a pin beyond the first page once, at its position', () => {
+    // p2 would rank on the first page but is pinned to position 7
+    const pages = walk([{ product: catalog[1], position: limit + 3 }]);
+
+    expect(pages).toEqual([
+      ['p1', 'p3', 'p4', 'p5'],
+      ['p6', 'p7', 'p2', 'p8'],
+      ['p9', 'p10']
+    ]);
+  });
+
+  test('continues after a first page filled with pins', () => {
+    const pins = [0, 1, 2, 3, 9].map((index, i) => ({ product: catalog[index], position: i < 4 ? i + 1 : 6 }));
+    const pages = walk(pins);
+
+    expect(pages).toEqual([
+      ['p1', 'p2', 'p3', 'p4'],
+      ['p5', 'p10', 'p6', 'p7'],
+      ['p8', 'p9']
+    ]);
+  });
+});
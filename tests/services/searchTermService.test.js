@@ -0,0 +1,47 @@
+import { normalizeSearchTerm, editDistance } from '../../services/searchTermService.js';
+
+describe('editDistance', () => {
+  test('is 0 for equal words', () => {
+    expect(editDistance('kurta', 'kurta', 2)).toBe(0);
+    expect(editDistance('', '', 2)).toBe(0);
+  });
+
+  test('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('saree', 'sare', 2)).toBe(1);
+    expect(editDistance('sare', 'saree', 2)).toBe(1);
+    expect(editDistance('saree', 'sarei', 2)).toBe(1);
+    expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+    expect(editDistance('', 'top', 3)).toBe(3);
+  });
+
+  test('counts a transposition of adjacent characters as one edit', () => {
+    expect(editDistance('shirt', 'shrit', 2)).toBe(1);
+    expect(editDistance('lehenga', 'lehnega', 2)).toBe(1);
+  });
+
+  test('returns max + 1 once the distance exceeds max', () => {
+    expect(editDistance('kitten', 'sitting', 2)).toBe(3);
+    expect(editDistance('dress', 'jeans', 1)).toBe(2);
+    expect(editDistance('top', 'dupatta', 2)).toBe(3);
+    expect(editDistance('shirt', 'shrit', 0)).toBe(1);
+  });
+});
+
+describe('normalizeSearchTerm', () => {
+  test('lowercases and collapses whitespace', () => {
+    expect(normalizeSearchTerm('  Silk   SAREE ')).toBe('silk saree');
+  });
+
+  test('drops possessives and simple plurals', () => {
+    expect(normalizeSearchTerm("Women's Kurtas")).toBe('women kurta');
+    expect(normalizeSearchTerm('dress')).toBe('dress');
+  });
+
+  test('turns hyphens into spaces', () => {
+    expect(normalizeSearchTerm('t-shirt')).toBe('t shirt');
+  });
+
+  test('handles empty input', () => {
+    expect(normalizeSearchTerm(undefined)).toBe('');
+  });
+});
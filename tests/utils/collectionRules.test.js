@@ -0,0 +1,139 @@
+import {
+  RELATIONS, normalizeRule, evaluateRule, isEvaluable, matchesCollection
+} from '../../utils/collectionRules.js';
+
+const product = {
+  name: 'Silk Saree',
+  productType: 'Saree',
+  vendor: 'Jaipur Looms',
+  tags: ['Festive', 'silk'],
+  variants: [
+    { title: 'Red', price: 4500, compareAtPrice: 5000, inventory: 0 },
+    { title: 'Blue', price: 3900, compareAtPrice: null, inventory: 4 }
+  ]
+};
+
+const matches = (column, relation, condition, target = product) =>
+  evaluateRule(target, normalizeRule({ column, relation, condition }));
+
+describe('evaluateRule', () => {
+  test('equals and not_equals ignore case', () => {
+    expect(matches('title', 'equals', 'silk saree')).toBe(true);
+    expect(matches('title', 'equals', 'Silk')).toBe(false);
+    expect(matches('type', 'not_equals', 'Lehenga')).toBe(true);
+    expect(matches('type', 'not_equals', 'SAREE')).toBe(false);
+  });
+
+  test('greater_than and less_than compare numbers', () => {
+    expect(matches('variant_price', 'greater_than', '4000')).toBe(true);
+    expect(matches('variant_price', 'greater_than', '4500')).toBe(false);
+    expect(matches('variant_price', 'less_than', '4000')).toBe(true);
+    expect(matches('variant_price', 'less_than', '3900')).toBe(false);
+    expect(matches('variant_price', 'less_than', 'cheap')).toBe(false);
+  });
+
+  test('starts_with, ends_with and contains match text', () => {
+    expect(matches('title', 'starts_with', 'SILK')).toBe(true);
+    expect(matches('title', 'starts_with', 'Saree')).toBe(false);
+    expect(matches('title', 'ends_with', 'saree')).toBe(true);
+    expect(matches('title', 'ends_with', 'silk')).toBe(false);
+    expect(matches('vendor', 'contains', 'loom')).toBe(true);
+    expect(matches('vendor', 'contains', 'weave')).toBe(false);
+  });
+
+  test('not_contains', () => {
+    expect(matches('title', 'not_contains', 'cotton')).toBe(true);
+    expect(matches('title', 'not_contains', 'silk')).toBe(false);
+  });
+
+  test('is_set and is_not_set', () => {
+    expect(matches('vendor', 'is_set')).toBe(true);
+    expect(matches('vendor', 'is_not_set')).toBe(false);
+    expect(matches('type', 'is_set', '', { ...product, productType: ' ' })).toBe(false);
+    expect(matches('tag', 'is_not_set', '', { ...product, tags: [] })).toBe(true);
+  });
+
+  test('unset values only satisfy negated relations', () => {
+    const untyped = { ...product, productType: null };
+    expect(matches('type', 'equals', 'saree', untyped)).toBe(false);
+    expect(matches('type', 'not_equals', 'saree', untyped)).toBe(true);
+    expect(matches('type', 'not_contains', 'saree', untyped)).toBe(true);
+  });
+
+  test('tags match as a set', () => {
+    expect(matches('tag', 'equals', 'festive')).toBe(true);
+    expect(matches('tag', 'not_equals', 'festive')).toBe(false);
+    expect(matches('tag', 'not_equals', 'bridal')).toBe(true);
+    expect(matches('tag', 'not_contains', 'sil')).toBe(false);
+  });
+
+  test('variant columns match when any variant does', () => {
+    expect(matches('variant_inventory', 'greater_than', '0')).toBe(true);
+    expect(matches('variant_title', 'equals', 'blue')).toBe(true);
+    expect(matches('variant_title', 'equals', 'green')).toBe(false);
+    expect(matches('variant_price', 'equals', '4500.00')).toBe(true);
+  });
+
+  test('is_price_reduced is a flag', () => {
+    const fullPrice = { ...product, variants: [{ price: 10, compareAtPrice: 10 }] };
+    expect(matches('is_price_reduced', 'is_set')).toBe(true);
+    expect(matches('is_price_reduced', 'equals', 'false')).toBe(false);
+    expect(matches('is_price_reduced', 'is_not_set', '', fullPrice)).toBe(true);
+    expect(matches('is_price_reduced', 'not_equals', 'true', fullPrice)).toBe(true);
+  });
+
+  test('accepts GraphQL enum forms', () => {
+    expect(matches('VARIANT_PRICE', 'GREATER_THAN', 4000)).toBe(true);
+    expect(matches('TAG', 'EQUALS', 'Silk')).toBe(true);
+  });
+
+  test('never matches unknown columns or relations', () => {
+    expect(matches('product_metafield_definition', 'equals', 'x')).toBe(false);
+    expect(matches('title', 'matches', 'silk')).toBe(false);
+    expect(matches('constructor', 'is_set')).toBe(false);
+  });
+
+  test('covers every relation', () => {
+    expect(RELATIONS).toEqual([
+      'equals', 'not_equals', 'greater_than', 'less_than', 'starts_with',
+      'ends_with', 'contains', 'not_contains', 'is_set', 'is_not_set'
+    ]);
+  });
+});
+
+describe('matchesCollection', () => {
+  const rules = [
+    { column: 'tag', relation: 'equals', condition: 'festive' },
+    { column: 'variant_price', relation: 'less_than', condition: '1000' }
+  ];
+
+  test('requires every rule by default', () => {
+    expect(matchesCollection(product, { rules })).toBe(false);
+    expect(matchesCollection(product, { rules: rules.slice(0, 1) })).toBe(true);
+  });
+
+  test('requires any rule when disjunctive', () => {
+    expect(matchesCollection(product, { rules, disjunctive: true })).toBe(true);
+    expect(matchesCollection({ ...product, tags: [] }, { rules, disjunctive: true })).toBe(false);
+  });
+
+  test('never matches without rules', () => {
+    expect(matchesCollection(product, { rules: [] })).toBe(false);
+    expect(matchesCollection(product, { rules: [], disjunctive: true })).toBe(false);
+  });
+});
+
+describe('isEvaluable', () => {
+  test('accepts supported columns and relations', () => {
+    expect(isEvaluable({ rules: [{ column: 'TAG', relation: 'EQUALS', condition: 'x' }] })).toBe(true);
+  });
+
+  test('rejects custom collections and unsupported rules', () => {
+    expect(isEvaluable({ rules: [] })).toBe(false);
+    expect(isEvaluable({ rules: null })).toBe(false);
+    expect(isEvaluable({})).toBe(false);
+    expect(isEvaluable({ rules: [{ column: 'variant_weight', relation: 'less_than', condition: '1' }] })).toBe(false);
+    expect(isEvaluable({ rules: [{ column: 'title', relation: 'matches', condition: 'x' }] })).toBe(false);
+    expect(isEvaluable({ rules: [{ column: 'constructor', relation: 'equals', condition: 'x' }] })).toBe(false);
+  });
+});
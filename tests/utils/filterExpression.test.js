@@ -0,0 +1,118 @@
+import { FilterExpressionError, parseFilterExpression } from '../../utils/filterExpression.js';
+
+const brand = (value) => ({ brand: { $regex: `^${value}$`, $options: 'i' } });
+const tag = (value) => ({ tags: { $regex: `^${value}$`, $options: 'i' } });
+
+// Error thrown by parsing, for asserting on message and position
+const parseError = (expression) => {
+  try {
+    parseFilterExpression(expression);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected "${expression}" to be rejected`);
+};
+
+describe('parseFilterExpression', () => {
+  describe('precedence', () => {
+    test('AND binds tighter than OR', () => {
+      expect(parseFilterExpression('brand:a OR brand:b AND tag:c')).toEqual({
+        $or: [brand('a'), { $and: [brand('b'), tag('c')] }]
+      });
+      expect(parseFilterExpression('brand:a AND brand:b OR tag:c')).toEqual({
+        $or: [{ $and: [brand('a'), brand('b')] }, tag('c')]
+      });
+    });
+
+    test('NOT binds tighter than AND', () => {
+      expect(parseFilterExpression('NOT brand:a AND tag:c')).toEqual({
+        $and: [{ $nor: [brand('a')] }, tag('c')]
+      });
+    });
+
+    test('parentheses override precedence', () => {
+      expect(parseFilterExpression('(brand:a OR brand:b) AND tag:c')).toEqual({
+        $and: [{ $or: [brand('a'), brand('b')] }, tag('c')]
+      });
+      expect(parseFilterExpression('NOT (brand:a OR brand:b)')).toEqual({
+        $nor: [{ $or: [brand('a'), brand('b')] }]
+      });
+    });
+
+    test('adjacent terms are joined with AND', () => {
+      expect(parseFilterExpression('brand:a tag:c OR tag:d')).toEqual({
+        $or: [{ $and: [brand('a'), tag('c')] }, tag('d')]
+      });
+    });
+
+    test('keywords are case-insensitive', () => {
+      expect(parseFilterExpression('brand:a or not tag:c')).toEqual({
+        $or: [brand('a'), { $nor: [tag('c')] }]
+      });
+    });
+  });
+
+  describe('terms', () => {
+    test('escapes values and supports prefixes and quotes', () => {
+      expect(parseFilterExpression('brand:a.b*')).toEqual({ brand: { $regex: '^a\\.b', $options: 'i' } });
+      expect(parseFilterExpression('brand:"Jaipur AND Co"')).toEqual(brand('Jaipur AND Co'));
+    });
+
+    test('matches variant fields on in-stock variants', () => {
+      expect(parseFilterExpression('color:red')).toEqual({
+        variants: { $elemMatch: { 'attributes.color': { $regex: '^red$', $options: 'i' }, inventory: { $gt: 0 } } }
+      });
+    });
+
+    test('compiles inclusive, exclusive and open ranges', () => {
+      expect(parseFilterExpression('price:[1000 TO 5000}')).toEqual({ price: { $gte: 1000, $lt: 5000 } });
+      expect(parseFilterExpression('discount:{10 TO *]')).toEqual({ maxDiscount: { $gt: 10 } });
+      expect(parseFilterExpression('createdAt:[2024-01-01 TO *]')).toEqual({
+        createdAt: { $gte: new Date('2024-01-01') }
+      });
+    });
+
+    test('uses overridden paths', () => {
+      expect(parseFilterExpression('price:[* TO 50]', { paths: { price: 'presentmentPrices.USD.price' } })).toEqual({
+        'presentmentPrices.USD.price': { $lte: 50 }
+      });
+    });
+  });
+
+  describe('errors', () => {
+    test('reports a missing closing parenthesis', () => {
+      const error = parseError('(brand:a OR brand:b');
+      expect(error).toBeInstanceOf(FilterExpressionError);
+      expect(error.message).toMatch('Expected ")"');
+      expect(error.position).toBe(19);
+    });
+
+    test('reports an unexpected closing parenthesis', () => {
+      const error = parseError('brand:a) OR brand:b');
+      expect(error).toBeInstanceOf(FilterExpressionError);
+      expect(error.message).toMatch('Unexpected ")"');
+      expect(error.position).toBe(7);
+    });
+
+    test('reports empty parentheses', () => {
+      const error = parseError('brand:a AND ()');
+      expect(error.message).toMatch('Expected a field:value term, found ")"');
+      expect(error.position).toBe(13);
+    });
+
+    test('limits nesting depth', () => {
+      expect(parseError(`${'('.repeat(11)}brand:a${')'.repeat(11)}`).message).toMatch('nested at most 10 levels');
+    });
+
+    test('rejects unknown fields, dangling operators and bad values', () => {
+      expect(parseError('colour:red').message).toMatch('Unknown field "colour"');
+      expect(parseError('constructor:x').message).toMatch('Unknown field "constructor"');
+      expect(parseError('brand:a AND').message).toMatch('found end of expression');
+      expect(parseError('brand:"open').message).toMatch('Unterminated quoted value');
+      expect(parseError('price:cheap').message).toMatch('Expected a number for "price"');
+      expect(parseError('brand:[a TO b]').message).toMatch('Ranges are only supported');
+      expect(parseError('price:[* TO *]').message).toMatch('needs at least one bound');
+      expect(parseError('').message).toBe('Filter expression is empty');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor, buildKeysetMatch } from '../../utils/pagination.js';
+
+const toToken = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('cursor round-trip', () => {
+  const sort = { price: -1, createdAt: -1, 'attributes.color': 1, _id: 1 };
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    price: 1299,
+    createdAt: new Date('2024-03-01T10:00:00.000Z'),
+    attributes: { color: 'red' }
+  };
+
+  test('decodes the values it encoded, in sort order', () => {
+    const { values, offset } = decodeCursor(encodeCursor(doc, sort), sort);
+
+    expect(values[0]).toBe(1299);
+    expect(values[1]).toEqual(doc.createdAt);
+    expect(values[1]).toBeInstanceOf(Date);
+    expect(values[2]).toBe('red');
+    expect(values[3]).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(values[3].equals(doc._id)).toBe(true);
+    expect(offset).toBeNull();
+  });
+
+  test('keeps missing fields as null', () => {
+    const { values } = decodeCursor(encodeCursor({ _id: doc._id }, sort), sort);
+    expect(values.slice(0, 3)).toEqual([null, null, null]);
+  });
+
+  test('points before the first item without a document', () => {
+    expect(decodeCursor(encodeCursor(null, sort), sort)).toEqual({ values: [], offset: null });
+  });
+
+  test('carries the number of results listed so far', () => {
+    expect(decodeCursor(encodeCursor(doc, sort, 24), sort).offset).toBe(24);
+    expect(decodeCursor(encodeCursor(null, sort, 12), sort)).toEqual({ values: [], offset: 12 });
+  });
+
+  test('rejects cursors issued for another sort', () => {
+    expect(decodeCursor(encodeCursor(doc, sort), { price: 1, createdAt: -1, 'attributes.color': 1, _id: 1 })).toBeNull();
+    expect(decodeCursor(encodeCursor(doc, sort), { price: -1, _id: 1 })).toBeNull();
+  });
+
+  test('rejects malformed and forged cursors', () => {
+    const idSort = { price: 1, _id: 1 };
+    const signature = 'price:1,_id:1';
+
+    expect(decodeCursor('not a cursor', idSort)).toBeNull();
+    expect(decodeCursor(toToken({ s: signature, v: [1] }), idSort)).toBeNull();
+    expect(decodeCursor(toToken({ s: signature, v: [{ $gt: 0 }, doc._id.toString()] }), idSort)).toBeNull();
+    expect(decodeCursor(toToken({ s: signature, v: [1, 'not-an-id'] }), idSort)).toBeNull();
+    expect(decodeCursor(toToken({ s: signature, v: [{ $date: 'yesterday' }, doc._id.toString()] }), idSort)).toBeNull();
+    expect(decodeCursor(toToken({ s: signature, v: [], o: -1 }), idSort)).toBeNull();
+    expect(decodeCursor(toToken({ s: signature, v: [], o: { $gt: 0 } }), idSort)).toBeNull();
+  });
+});
+
+describe('buildKeysetMatch', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  test('breaks ties on the following keys down to _id', () => {
+    expect(buildKeysetMatch({ price: 1, name: 1, _id: 1 }, [100, 'Kurta', id])).toEqual({
+      $or: [
+        { price: { $gt: 100 } },
+        { $and: [{ price: 100 }, { name: { $gt: 'Kurta' } }] },
+        { $and: [{ price: 100 }, { name: 'Kurta' }, { _id: { $gt: id } }] }
+      ]
+    });
+  });
+
+  test('lists nulls last in descending order', () => {
+    expect(buildKeysetMatch({ price: -1, _id: 1 }, [100, id])).toEqual({
+      $or: [
+        { $or: [{ price: { $lt: 100 } }, { price: null }] },
+        { $and: [{ price: 100 }, { _id: { $gt: id } }] }
+      ]
+    });
+  });
+
+  test('continues after a null value', () => {
+    // Ascending: nulls come first, so everything non-null follows
+    expect(buildKeysetMatch({ price: 1, _id: 1 }, [null, id])).toEqual({
+      $or: [
+        { price: { $ne: null } },
+        { $and: [{ price: null }, { _id: { $gt: id } }] }
+      ]
+    });
+    // Descending: nulls come last, so only other nulls follow
+    expect(buildKeysetMatch({ price: -1, _id: 1 }, [null, id])).toEqual({
+      $or: [
+        { $and: [{ price: null }, { _id: { $gt: id } }] }
+      ]
+    });
+  });
+
+  test('matches everything from a cursor before the first item', () => {
+    expect(buildKeysetMatch({ price: 1, _id: 1 }, [])).toEqual({});
+  });
+});
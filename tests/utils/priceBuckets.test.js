@@ -0,0 +1,72 @@
+import {
+  DEFAULT_PRICE_BUCKET_COUNT, MAX_PRICE_BUCKETS, parsePriceBucketParams, getNicePriceBoundaries
+} from '../../utils/priceBuckets.js';
+
+describe('parsePriceBucketParams', () => {
+  test('defaults to automatic buckets', () => {
+    expect(parsePriceBucketParams({})).toEqual({ count: DEFAULT_PRICE_BUCKET_COUNT });
+    expect(parsePriceBucketParams({ priceBucketCount: '8' })).toEqual({ count: 8 });
+  });
+
+  test('rejects bucket counts out of range', () => {
+    expect(parsePriceBucketParams({ priceBucketCount: '0' })).toBeNull();
+    expect(parsePriceBucketParams({ priceBucketCount: String(MAX_PRICE_BUCKETS + 1) })).toBeNull();
+    expect(parsePriceBucketParams({ priceBucketCount: 'many' })).toBeNull();
+  });
+
+  test('starts fixed boundaries at 0', () => {
+    expect(parsePriceBucketParams({ priceBuckets: '1000,2000,5000' })).toEqual({ boundaries: [0, 1000, 2000, 5000] });
+    expect(parsePriceBucketParams({ priceBuckets: '0,500' })).toEqual({ boundaries: [0, 500] });
+  });
+
+  test('accepts a single boundary above 0', () => {
+    expect(parsePriceBucketParams({ priceBuckets: '1000' })).toEqual({ boundaries: [0, 1000] });
+  });
+
+  test('rejects boundaries that leave no bucket', () => {
+    expect(parsePriceBucketParams({ priceBuckets: '0' })).toBeNull();
+  });
+
+  test('rejects unordered, negative and non-numeric boundaries', () => {
+    expect(parsePriceBucketParams({ priceBuckets: '2000,1000' })).toBeNull();
+    expect(parsePriceBucketParams({ priceBuckets: '1000,1000' })).toBeNull();
+    expect(parsePriceBucketParams({ priceBuckets: '-100,1000' })).toBeNull();
+    expect(parsePriceBucketParams({ priceBuckets: '0,cheap' })).toBeNull();
+  });
+
+  test('rejects too many boundaries', () => {
+    const boundaries = Array.from({ length: MAX_PRICE_BUCKETS }, (_, i) => (i + 1) * 100);
+    expect(parsePriceBucketParams({ priceBuckets: boundaries.join(',') })).toBeNull();
+    expect(parsePriceBucketParams({ priceBuckets: boundaries.slice(1).join(',') })).not.toBeNull();
+  });
+});
+
+describe('getNicePriceBoundaries', () => {
+  test('uses round steps covering the range', () => {
+    expect(getNicePriceBoundaries(0, 1000, 5)).toEqual([0, 200, 400, 600, 800, 1000, 1200]);
+    expect(getNicePriceBoundaries(120, 980, 4)).toEqual([0, 250, 500, 750, 1000]);
+    expect(getNicePriceBoundaries(499, 4999, 5)).toEqual([0, 1000, 2000, 3000, 4000, 5000]);
+  });
+
+  test('picks 1, 2, 2.5 or 5 times a power of ten', () => {
+    [[0, 90, 9], [0, 180, 9], [0, 225, 9], [0, 450, 9], [0, 9000, 9]].forEach(([min, max, count]) => {
+      const [first, second] = getNicePriceBoundaries(min, max, count);
+      const step = second - first;
+      const magnitude = 10 ** Math.floor(Math.log10(step));
+      expect([1, 2, 2.5, 5]).toContain(step / magnitude);
+    });
+  });
+
+  test('spans the whole range with at least two boundaries', () => {
+    [[0, 0], [35, 35], [12.5, 99.9], [1999, 2001], [0, 123456]].forEach(([min, max]) => {
+      const boundaries = getNicePriceBoundaries(min, max, 5);
+      expect(boundaries.length).toBeGreaterThanOrEqual(2);
+      expect(boundaries[0]).toBeLessThanOrEqual(min);
+      expect(boundaries[boundaries.length - 1]).toBeGreaterThan(max);
+    });
+  });
+
+  test('never steps below 1', () => {
+    expect(getNicePriceBoundaries(10, 12, 10)).toEqual([10, 11, 12, 13]);
+  });
+});
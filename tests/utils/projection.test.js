@@ -0,0 +1,33 @@
+import { FIELD_PRESETS, parseFieldsParam } from '../../utils/projection.js';
+
+describe('parseFieldsParam', () => {
+  test('returns full documents without fields', () => {
+    expect(parseFieldsParam(undefined)).toEqual({ projection: null, key: null, invalid: [] });
+    expect(parseFieldsParam([])).toEqual({ projection: null, key: null, invalid: [] });
+  });
+
+  test('expands presets and adds required fields', () => {
+    const { projection, invalid } = parseFieldsParam('card', { include: ['createdAt'] });
+
+    expect(invalid).toEqual([]);
+    expect(Object.keys(projection).sort()).toEqual([...FIELD_PRESETS.card, 'createdAt'].sort());
+  });
+
+  test('drops nested paths covered by their parent', () => {
+    expect(parseFieldsParam('attributes.color,attributes,name')).toEqual({
+      projection: { attributes: 1, name: 1 },
+      key: 'attributes,name',
+      invalid: []
+    });
+  });
+
+  test('rejects unknown fields', () => {
+    expect(parseFieldsParam('name,password')).toEqual({ projection: null, key: null, invalid: ['password'] });
+    expect(parseFieldsParam('attributes.$where').invalid).toEqual(['attributes.$where']);
+  });
+
+  test('rejects prototype names instead of treating them as presets', () => {
+    expect(parseFieldsParam('constructor')).toEqual({ projection: null, key: null, invalid: ['constructor'] });
+    expect(parseFieldsParam('name,toString,__proto__').invalid).toEqual(['toString', '__proto__']);
+  });
+});
@@ -0,0 +1,74 @@
+import { SORTABLE_FIELDS, SORT_PRESETS, parseSortParam } from '../../utils/sorting.js';
+
+// Mongo sort objects are ordered, so compare their entries
+const entriesOf = ({ sort }) => Object.entries(sort);
+
+describe('parseSortParam', () => {
+  test('uses the default sort when none is given', () => {
+    expect(entriesOf(parseSortParam())).toEqual([['createdAt', -1], ['_id', 1]]);
+    expect(entriesOf(parseSortParam(undefined, 'desc', { defaultSort: 'price_asc' }))).toEqual([['price', 1], ['_id', 1]]);
+  });
+
+  test('expands presets, with order filling in open directions', () => {
+    expect(entriesOf(parseSortParam('best_seller', 'asc'))).toEqual([['sales', 1], ['createdAt', 1], ['_id', 1]]);
+    expect(entriesOf(parseSortParam('trending', 'asc'))).toEqual([['trendingScore', -1], ['createdAt', -1], ['_id', 1]]);
+  });
+
+  test('parses multiple keys in order, mapping public names to fields', () => {
+    expect(entriesOf(parseSortParam('price:asc,discount:desc,name', 'desc'))).toEqual([
+      ['price', 1], ['maxDiscount', -1], ['name', -1], ['_id', 1]
+    ]);
+    expect(entriesOf(parseSortParam(['stock:1', 'createdAt:-1']))).toEqual([
+      ['totalInventory', 1], ['createdAt', -1], ['_id', 1]
+    ]);
+  });
+
+  test('keeps the first occurrence of a field', () => {
+    expect(entriesOf(parseSortParam('price:asc,price_desc'))).toEqual([['price', 1], ['_id', 1]]);
+  });
+
+  test('always ends with the _id tie-breaker', () => {
+    Object.keys(SORT_PRESETS).filter(preset => preset !== 'manual').forEach(preset => {
+      const keys = Object.keys(parseSortParam(preset).sort);
+      expect(keys[keys.length - 1]).toBe('_id');
+    });
+  });
+
+  test('rejects unknown sort keys and directions', () => {
+    expect(parseSortParam('colour')).toEqual({ sort: null, invalid: ['colour'] });
+    expect(parseSortParam('price:up,name,bogus:asc')).toEqual({ sort: null, invalid: ['price:up', 'bogus:asc'] });
+    expect(parseSortParam('_id')).toEqual({ sort: null, invalid: ['_id'] });
+    expect(parseSortParam('constructor')).toEqual({ sort: null, invalid: ['constructor'] });
+  });
+
+  test('rejects fields excluded for the caller', () => {
+    expect(parseSortParam('relevance', 'desc', { exclude: ['relevance'] })).toEqual({ sort: null, invalid: ['relevance'] });
+  });
+
+  test('puts in-stock products first when asked', () => {
+    expect(entriesOf(parseSortParam('price_asc', 'desc', { outOfStockLast: true }))).toEqual([
+      ['inStock', -1], ['price', 1], ['_id', 1]
+    ]);
+  });
+
+  test('sorts price keys on the presentment price field', () => {
+    expect(entriesOf(parseSortParam('price:desc', 'desc', { priceField: 'presentmentPrices.USD.price' }))).toEqual([
+      ['presentmentPrices.USD.price', -1], ['_id', 1]
+    ]);
+  });
+
+  test('sorts position keys only with a position field', () => {
+    expect(parseSortParam('manual')).toEqual({ sort: null, invalid: ['manual'] });
+    expect(parseSortParam('position:asc')).toEqual({ sort: null, invalid: ['position:asc'] });
+    expect(entriesOf(parseSortParam('manual', 'desc', { positionField: 'collectionPosition' }))).toEqual([
+      ['collectionPosition', 1], ['_id', 1]
+    ]);
+  });
+
+  test('whitelists every field a preset sorts on', () => {
+    const fields = new Set(Object.values(SORTABLE_FIELDS));
+    Object.values(SORT_PRESETS).flat().forEach(([key]) => {
+      expect(fields.has(key)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Shopify smart collection rules evaluated against Product documents
+ *
+ * Rules are `{ column, relation, condition }` in Shopify's REST form
+ * (`variant_price`, `greater_than`); GraphQL enums (VARIANT_PRICE, GREATER_THAN)
+ * are normalized to it. A collection matches a product when all of its rules
+ * match, or any of them when `disjunctive` is set.
+ *
+ * Text comparisons ignore case. Tags are a set: positive relations match when
+ * any tag does, `not_equals`/`not_contains` only when no tag matches. Variant
+ * columns are evaluated per variant like Shopify does, so a rule matches when
+ * at least one variant satisfies it.
+ *
+ * Columns Shopify supports but products don't store (weights, metafields,
+ * taxonomy) can't be evaluated locally; collections using them stay synced
+ * from Shopify (see isEvaluable).
+ */
+
+const RELATIONS = [
+  'equals', 'not_equals', 'greater_than', 'less_than', 'starts_with',
+  'ends_with', 'contains', 'not_contains', 'is_set', 'is_not_set'
+];
+
+// Relations that hold for a set of values only when no value matches their positive counterpart
+const NEGATED_RELATIONS = {
+  not_equals: 'equals',
+  not_contains: 'contains'
+};
+
+// Column -> how values are read: `product` gives one value, `tags` a set, `variant` one per
+// variant and `flag` a boolean (is_set/is_not_set, or equals "true"/"false")
+const RULE_COLUMNS = {
+  title: { product: product => product.name },
+  type: { product: product => product.productType },
+  vendor: { product: product => product.vendor || product.brand },
+  tag: { tags: product => product.tags || [] },
+  variant_title: { variant: variant => variant.title },
+  variant_price: { variant: variant => variant.price, numeric: true },
+  variant_compare_at_price: { variant: variant => variant.compareAtPrice, numeric: true },
+  variant_inventory: { variant: variant => variant.inventory, numeric: true },
+  // True when a variant sells below its compare-at price
+  is_price_reduced: {
+    flag: product => (product.variants || []).some(variant => variant.compareAtPrice > variant.price)
+  }
+};
+
+// Product fields the evaluator reads, for lean queries
+const RULE_PRODUCT_FIELDS = {
+  name: 1,
+  productType: 1,
+  vendor: 1,
+  brand: 1,
+  tags: 1,
+  'variants.title': 1,
+  'variants.price': 1,
+  'variants.compareAtPrice': 1,
+  'variants.inventory': 1
+};
+
+const normalizeToken = (value) => String(value || '').trim().toLowerCase();
+
+// Own keys only, so columns like `constructor` don't resolve to prototype members
+const getColumn = (column) => (Object.hasOwn(RULE_COLUMNS, column) ? RULE_COLUMNS[column] : null);
+
+/**
+ * Rule in Shopify's REST form
+ * @param {Object} rule - { column, relation, condition }
+ * @returns {Object}
+ */
+const normalizeRule = ({ column, relation, condition } = {}) => ({
+  column: normalizeToken(column),
+  relation: normalizeToken(relation),
+  condition: condition === undefined || condition === null ? '' : String(condition)
+});
+
+const isSet = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const compareValue = (value, relation, condition, numeric) => {
+  if (relation === 'is_set') return isSet(value);
+  if (relation === 'is_not_set') return !isSet(value);
+  if (!isSet(value)) return relation === 'not_equals' || relation === 'not_contains';
+
+  if (numeric || relation === 'greater_than' || relation === 'less_than') {
+    const number = Number(value);
+    const target = Number(condition);
+    if (Number.isNaN(number) || Number.isNaN(target)) return false;
+    switch (relation) {
+      case 'equals': return number === target;
+      case 'not_equals': return number !== target;
+      case 'greater_than': return number > target;
+      case 'less_than': return number < target;
+      default: break;
+    }
+  }
+
+  const text = normalizeToken(value);
+  const target = normalizeToken(condition);
+  switch (relation) {
+    case 'equals': return text === target;
+    case 'not_equals': return text !== target;
+    case 'starts_with': return text.startsWith(target);
+    case 'ends_with': return text.endsWith(target);
+    case 'contains': return text.includes(target);
+    case 'not_contains': return !text.includes(target);
+    default: return false;
+  }
+};
+
+/**
+ * Whether a single rule matches a product
+ * @param {Object} product - Lean product with RULE_PRODUCT_FIELDS
+ * @param {Object} rule - Normalized rule
+ * @returns {boolean}
+ */
+const evaluateRule = (product, rule) => {
+  const column = getColumn(rule.column);
+  if (!column || !RELATIONS.includes(rule.relation)) return false;
+
+  if (column.flag) {
+    const flag = column.flag(product);
+    switch (rule.relation) {
+      case 'is_set': return flag;
+      case 'is_not_set': return !flag;
+      case 'equals': return flag === (normalizeToken(rule.condition) !== 'false');
+      case 'not_equals': return flag !== (normalizeToken(rule.condition) !== 'false');
+      default: return false;
+    }
+  }
+
+  if (column.product) {
+    return compareValue(column.product(product), rule.relation, rule.condition, column.numeric);
+  }
+
+  if (column.tags) {
+    const tags = column.tags(product);
+    if (rule.relation === 'is_set') return tags.length > 0;
+    if (rule.relation === 'is_not_set') return tags.length === 0;
+    const positive = NEGATED_RELATIONS[rule.relation];
+    return positive
+      ? !tags.some(tag => compareValue(tag, positive, rule.condition))
+      : tags.some(tag => compareValue(tag, rule.relation, rule.condition));
+  }
+
+  return (product.variants || []).some(variant =>
+    compareValue(column.variant(variant), rule.relation, rule.condition, column.numeric)
+  );
+};
+
+/**
+ * Whether every rule of a collection can be evaluated locally
+ * @param {Object} collection - { rules }
+ * @returns {boolean} False for custom collections (no rules) and unsupported columns or relations
+ */
+const isEvaluable = ({ rules } = {}) =>
+  Array.isArray(rules) && rules.length > 0 && rules.map(normalizeRule).every(rule =>
+    Boolean(getColumn(rule.column)) && RELATIONS.includes(rule.relation)
+  );
+
+/**
+ * Whether a product belongs to a smart collection
+ * @param {Object} product - Lean product with RULE_PRODUCT_FIELDS
+ * @param {Object} collection - { rules, disjunctive }
+ * @returns {boolean}
+ */
+const matchesCollection = (product, { rules = [], disjunctive = false }) => {
+  const normalized = rules.map(normalizeRule);
+  if (!normalized.length) return false;
+  return disjunctive
+    ? normalized.some(rule => evaluateRule(product, rule))
+    : normalized.every(rule => evaluateRule(product, rule));
+};
+
+export {
+  RELATIONS,
+  RULE_COLUMNS,
+  RULE_PRODUCT_FIELDS,
+  normalizeRule,
+  evaluateRule,
+  isEvaluable,
+  matchesCollection
+};
@@ -0,0 +1,31 @@
+import currencyConfig from '../config/currency.js';
+
+/**
+ * Shopper currency helpers
+ *
+ * Base currency prices live in `price`; other presentment currencies are synced
+ * from Shopify Markets into `presentmentPrices.<CODE>.price` (see
+ * transformProduct), so filters and sorts switch to that path.
+ */
+
+/**
+ * Price field for a `currency` request parameter
+ * @param {string} currency - ISO currency code, base currency when empty
+ * @returns {Object|null} { currency, priceField }, or null for unsupported currencies
+ */
+const resolveCurrency = (currency) => {
+  const code = String(currency || currencyConfig.baseCurrency).trim().toUpperCase();
+  if (code === currencyConfig.baseCurrency) {
+    return { currency: code, priceField: 'price' };
+  }
+  if (!currencyConfig.presentmentCurrencies.includes(code)) {
+    return null;
+  }
+  return { currency: code, priceField: `presentmentPrices.${code}.price` };
+};
+
+// Currencies accepted by the `currency` parameter
+const getSupportedCurrencies = () =>
+  Array.from(new Set([currencyConfig.baseCurrency, ...currencyConfig.presentmentCurrencies]));
+
+export { resolveCurrency, getSupportedCurrencies };
@@ -0,0 +1,47 @@
+/**
+ * Variant option facets
+ *
+ * Size and color are counted from in-stock variants, one count per product,
+ * the same way the `color`/`size` filters match (see buildVariantStockMatch in
+ * controllers/productController.js). Shared by the filter facets and the
+ * collection detail facets.
+ */
+
+const VARIANT_FACETS = ['color', 'size'];
+
+/**
+ * Aggregation stages counting a variant option over matched products
+ * @param {string} field - Variant option, `color` or `size`
+ * @param {Object} variantMatch - Conditions on the unwound variant, from getVariantOptionMatch
+ * @returns {Array} Stages producing { _id: value, count }, most frequent first
+ */
+const createVariantFacetPipeline = (field, variantMatch = {}) => [
+  { $unwind: '$variants' },
+  {
+    $match: {
+      ...variantMatch,
+      'variants.inventory': { $gt: 0 },
+      [`variants.attributes.${field}`]: { $nin: [null, ''] }
+    }
+  },
+  { $group: { _id: { value: `$variants.attributes.${field}`, product: '$_id' } } },
+  { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+  { $sort: { count: -1 } },
+  { $limit: 300 }
+];
+
+/**
+ * Variant option conditions of a query, as paths on an unwound variant
+ * @param {Object} query - Product query, possibly with a `variants.$elemMatch` from buildVariantStockMatch
+ * @returns {Object}
+ */
+const getVariantOptionMatch = (query) => {
+  const elemMatch = query.variants?.$elemMatch || {};
+  return Object.fromEntries(
+    Object.entries(elemMatch)
+      .filter(([path]) => path.startsWith('attributes.'))
+      .map(([path, condition]) => [`variants.${path}`, condition])
+  );
+};
+
+export { VARIANT_FACETS, createVariantFacetPipeline, getVariantOptionMatch };
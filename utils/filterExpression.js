@@ -0,0 +1,337 @@
+/**
+ * Boolean filter expression language for the products API
+ *
+ * Compiles expressions such as
+ *   (color:red OR color:maroon) AND NOT brand:"X" AND price:[1000 TO 5000]
+ * into a MongoDB query over a whitelist of fields.
+ *
+ * Syntax:
+ * - field:value        case-insensitive exact match (`value*` for a prefix match)
+ * - field:"two words"  quoted values may contain spaces and keywords
+ * - field:[a TO b]     inclusive range, `{a TO b}` exclusive, `*` for an open end
+ * - AND, OR, NOT and parentheses; adjacent terms are joined with AND
+ *
+ * Values are always escaped before they reach a regex, and only whitelisted
+ * fields can be referenced, so user input never becomes a query operator.
+ */
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_TERMS = 50;
+const MAX_DEPTH = 10;
+
+// Expression field -> document path and value type
+const FILTER_FIELDS = {
+  // Variant fields match an in-stock variant rather than the product attribute
+  color: { path: 'attributes.color', type: 'string', variant: true },
+  size: { path: 'attributes.size', type: 'string', variant: true },
+  material: { path: 'attributes.material', type: 'string' },
+  season: { path: 'attributes.season', type: 'string' },
+  gender: { path: 'attributes.gender', type: 'string' },
+  style: { path: 'attributes.style', type: 'string' },
+  pattern: { path: 'attributes.pattern', type: 'string' },
+  fit: { path: 'attributes.fit', type: 'string' },
+  fabric: { path: 'attributes.fabric', type: 'string' },
+  work: { path: 'attributes.work', type: 'string' },
+  brand: { path: 'brand', type: 'string' },
+  vendor: { path: 'vendor', type: 'string' },
+  productType: { path: 'productType', type: 'string' },
+  productGroup: { path: 'productGroup', type: 'string' },
+  category: { path: 'categories', type: 'string' },
+  tag: { path: 'tags', type: 'string' },
+  tags: { path: 'tags', type: 'string' },
+  collection: { path: 'collection_handle', type: 'string' },
+  name: { path: 'name', type: 'string' },
+  price: { path: 'price', type: 'number' },
+  compareAtPrice: { path: 'compareAtPrice', type: 'number' },
+  discount: { path: 'maxDiscount', type: 'number' },
+  createdAt: { path: 'createdAt', type: 'date' }
+};
+
+/**
+ * Raised for malformed expressions; `position` is the 0-based offset of the problem
+ */
+class FilterExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'FilterExpressionError';
+    this.position = position;
+  }
+}
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'TO'];
+
+/**
+ * Split an expression into tokens
+ * @param {string} input - Raw expression
+ * @returns {Array} Tokens of { type, value, position }
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    if ('()[]{}:'.includes(char)) {
+      tokens.push({ type: char, value: char, position: i });
+      i += 1;
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < input.length && input[j] !== '"') {
+        if (input[j] === '\\' && j + 1 < input.length) j += 1;
+        value += input[j];
+        j += 1;
+      }
+      if (j >= input.length) {
+        throw new FilterExpressionError('Unterminated quoted value', i);
+      }
+      tokens.push({ type: 'QUOTED', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    let j = i;
+    while (j < input.length && !/\s/.test(input[j]) && !'()[]{}:"'.includes(input[j])) {
+      j += 1;
+    }
+    const word = input.slice(i, j);
+    const keyword = word.toUpperCase();
+    tokens.push(KEYWORDS.includes(keyword)
+      ? { type: keyword, value: word, position: i }
+      : { type: 'WORD', value: word, position: i });
+    i = j;
+  }
+
+  tokens.push({ type: 'EOF', value: '', position: input.length });
+  return tokens;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const describeToken = (token) => (token.type === 'EOF' ? 'end of expression' : `"${token.value}"`);
+
+/**
+ * Convert a raw value to the field's type
+ */
+const convertValue = (field, raw, position) => {
+  if (FILTER_FIELDS[field].type === 'number') {
+    const number = Number(raw);
+    if (raw === '' || Number.isNaN(number)) {
+      throw new FilterExpressionError(`Expected a number for "${field}" but got "${raw}"`, position);
+    }
+    return number;
+  }
+  if (FILTER_FIELDS[field].type === 'date') {
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+      throw new FilterExpressionError(`Expected a date for "${field}" but got "${raw}"`, position);
+    }
+    return date;
+  }
+  return raw;
+};
+
+/**
+ * Recursive descent parser producing a Mongo query
+ */
+class Parser {
+  constructor(tokens, paths = {}) {
+    this.tokens = tokens;
+    this.paths = paths;
+    this.index = 0;
+    this.terms = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  expect(type, message) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw new FilterExpressionError(`${message}, found ${describeToken(token)}`, token.position);
+    }
+    return token;
+  }
+
+  parse() {
+    if (this.peek().type === 'EOF') {
+      throw new FilterExpressionError('Filter expression is empty');
+    }
+    const query = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'EOF') {
+      throw new FilterExpressionError(`Unexpected ${describeToken(token)}`, token.position);
+    }
+    return query;
+  }
+
+  parseOr() {
+    const clauses = [this.parseAnd()];
+    while (this.peek().type === 'OR') {
+      this.next();
+      clauses.push(this.parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { $or: clauses };
+  }
+
+  parseAnd() {
+    const clauses = [this.parseNot()];
+    for (;;) {
+      const { type } = this.peek();
+      if (type === 'AND') {
+        this.next();
+      } else if (!['WORD', 'QUOTED', 'NOT', '('].includes(type)) {
+        break;
+      }
+      clauses.push(this.parseNot());
+    }
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  parseNot() {
+    if (this.peek().type === 'NOT') {
+      this.next();
+      return { $nor: [this.parseNot()] };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === '(') {
+      this.next();
+      this.depth += 1;
+      if (this.depth > MAX_DEPTH) {
+        throw new FilterExpressionError(`Expressions can be nested at most ${MAX_DEPTH} levels deep`, token.position);
+      }
+      const query = this.parseOr();
+      this.expect(')', 'Expected ")"');
+      this.depth -= 1;
+      return query;
+    }
+
+    if (token.type === 'WORD') {
+      return this.parseTerm();
+    }
+
+    throw new FilterExpressionError(`Expected a field:value term, found ${describeToken(token)}`, token.position);
+  }
+
+  parseTerm() {
+    const fieldToken = this.next();
+    const field = fieldToken.value;
+
+    if (!Object.prototype.hasOwnProperty.call(FILTER_FIELDS, field)) {
+      throw new FilterExpressionError(
+        `Unknown field "${field}". Allowed fields: ${Object.keys(FILTER_FIELDS).join(', ')}`,
+        fieldToken.position
+      );
+    }
+
+    this.terms += 1;
+    if (this.terms > MAX_TERMS) {
+      throw new FilterExpressionError(`Expressions can contain at most ${MAX_TERMS} terms`, fieldToken.position);
+    }
+
+    this.expect(':', `Expected ":" after "${field}"`);
+
+    const { variant } = FILTER_FIELDS[field];
+    const path = this.paths[field] || FILTER_FIELDS[field].path;
+    const condition = this.parseCondition(field);
+    if (variant) {
+      return { variants: { $elemMatch: { [path]: condition, inventory: { $gt: 0 } } } };
+    }
+    return { [path]: condition };
+  }
+
+  parseCondition(field) {
+    const { type } = FILTER_FIELDS[field];
+    const token = this.peek();
+
+    if (token.type === '[' || token.type === '{') {
+      return this.parseRange(field);
+    }
+
+    if (token.type !== 'WORD' && token.type !== 'QUOTED') {
+      throw new FilterExpressionError(`Expected a value for "${field}", found ${describeToken(token)}`, token.position);
+    }
+    this.next();
+
+    if (type !== 'string') {
+      return convertValue(field, token.value, token.position);
+    }
+
+    // Unquoted values ending in * match as a prefix
+    if (token.type === 'WORD' && token.value.endsWith('*') && token.value.length > 1) {
+      return { $regex: `^${escapeRegex(token.value.slice(0, -1))}`, $options: 'i' };
+    }
+    return { $regex: `^${escapeRegex(token.value)}$`, $options: 'i' };
+  }
+
+  parseRange(field) {
+    const open = this.next();
+    const lower = this.parseRangeBound(field);
+    this.expect('TO', 'Expected "TO" in range');
+    const upper = this.parseRangeBound(field);
+
+    const close = this.next();
+    if (close.type !== ']' && close.type !== '}') {
+      throw new FilterExpressionError(`Expected "]" or "}" to close range, found ${describeToken(close)}`, close.position);
+    }
+
+    if (FILTER_FIELDS[field].type === 'string') {
+      throw new FilterExpressionError(`Ranges are only supported on numeric and date fields, not "${field}"`, open.position);
+    }
+
+    const condition = {};
+    if (lower !== null) condition[open.type === '[' ? '$gte' : '$gt'] = lower;
+    if (upper !== null) condition[close.type === ']' ? '$lte' : '$lt'] = upper;
+
+    if (!Object.keys(condition).length) {
+      throw new FilterExpressionError(`Range on "${field}" needs at least one bound`, open.position);
+    }
+    return condition;
+  }
+
+  parseRangeBound(field) {
+    const token = this.next();
+    if (token.type !== 'WORD' && token.type !== 'QUOTED') {
+      throw new FilterExpressionError(`Expected a range bound, found ${describeToken(token)}`, token.position);
+    }
+    return token.value === '*' ? null : convertValue(field, token.value, token.position);
+  }
+}
+
+/**
+ * Parse and compile a filter expression
+ * @param {string} expression - Expression from the `q` parameter
+ * @param {Object} options
+ * @param {Object} options.paths - Document paths overriding FILTER_FIELDS, e.g. { price: 'presentmentPrices.USD.price' }
+ * @returns {Object} MongoDB query
+ * @throws {FilterExpressionError} When the expression is malformed or uses unknown fields
+ */
+const parseFilterExpression = (expression, { paths = {} } = {}) => {
+  const input = String(expression);
+  if (input.length > MAX_EXPRESSION_LENGTH) {
+    throw new FilterExpressionError(`Filter expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+  return new Parser(tokenize(input), paths).parse();
+};
+
+export { FILTER_FIELDS, FilterExpressionError, parseFilterExpression };
@@ -0,0 +1,81 @@
+import localeConfig from '../config/locale.js';
+
+/**
+ * Localized content helpers
+ *
+ * Translations synced from Shopify live under `translations.<locale>` on
+ * products and collections (see services/translationService.js). Localizing a
+ * document swaps in the translated fields it has and falls back to the default
+ * language for the rest; the raw translations are never returned.
+ */
+
+const LOCALIZED_PRODUCT_FIELDS = ['name', 'description', 'tags', 'productType'];
+const LOCALIZED_COLLECTION_FIELDS = ['title', 'description', 'descriptionHtml'];
+
+/**
+ * Storefront locale for a `locale` request parameter
+ * Region variants fall back to their language ("hi-IN" -> "hi")
+ * @param {string} locale - Requested locale, the default language when empty
+ * @returns {string|null} Locale code, or null for unsupported locales
+ */
+const resolveLocale = (locale) => {
+  const code = String(locale || localeConfig.defaultLocale).trim().toLowerCase();
+  const candidates = [code, code.split('-')[0]];
+  return candidates.find(candidate =>
+    candidate === localeConfig.defaultLocale || localeConfig.locales.includes(candidate)
+  ) || null;
+};
+
+// Locales accepted by the `locale` parameter
+const getSupportedLocales = () =>
+  Array.from(new Set([localeConfig.defaultLocale, ...localeConfig.locales]));
+
+const isDefaultLocale = (locale) => !locale || locale === localeConfig.defaultLocale;
+
+// Projection path holding one locale's translations, null for the default language
+const getTranslationPath = (locale) => (isDefaultLocale(locale) ? null : `translations.${locale}`);
+
+const hasValue = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const applyTranslations = (doc, locale, fields) => {
+  if (!doc) return doc;
+  const { translations, ...localized } = doc;
+  const translation = !isDefaultLocale(locale) && (translations instanceof Map
+    ? translations.get(locale)
+    : translations?.[locale]);
+
+  if (translation) {
+    fields.forEach(field => {
+      if (field in localized && hasValue(translation[field])) {
+        localized[field] = translation[field];
+      }
+    });
+  }
+  return localized;
+};
+
+/**
+ * Product with name, description, tags and productType in the given locale
+ * @param {Object} product - Lean product, with `translations.<locale>` when localized
+ * @param {string} locale - Resolved locale
+ * @returns {Object} Copy without `translations`
+ */
+const localizeProduct = (product, locale) => applyTranslations(product, locale, LOCALIZED_PRODUCT_FIELDS);
+
+/**
+ * Collection with title and description in the given locale
+ * @param {Object} collection - Lean collection
+ * @param {string} locale - Resolved locale
+ * @returns {Object} Copy without `translations`
+ */
+const localizeCollection = (collection, locale) => applyTranslations(collection, locale, LOCALIZED_COLLECTION_FIELDS);
+
+export {
+  LOCALIZED_PRODUCT_FIELDS,
+  resolveLocale,
+  getSupportedLocales,
+  isDefaultLocale,
+  getTranslationPath,
+  localizeProduct,
+  localizeCollection
+};
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+/**
+ * Keyset (cursor) pagination helpers
+ *
+ * A cursor is an opaque base64url token holding the sort signature and the
+ * sort-key values of the last item on a page. The next page is fetched with a
+ * range match on those values instead of `skip`, so deep pages stay fast and
+ * items don't shift when the catalog changes mid-scroll.
+ *
+ * Every sort passed in here must end with `_id` so the order is total.
+ * A cursor without values points before the first item, for pages that
+ * didn't list any item of the keyset (e.g. filled with pinned products).
+ * Cursors may also carry the number of results listed so far (`offset`), for
+ * listings that mix in items from outside the keyset at fixed positions.
+ */
+
+const getSortSignature = (sort) =>
+  Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(',');
+
+// Reads a (possibly dotted) field from a plain document
+const getFieldValue = (doc, field) =>
+  field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const serializeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+// Only primitives and tagged dates are accepted so a forged cursor can't smuggle operators into the query
+const deserializeValue = (value, field) => {
+  if (value === null) return null;
+  if (field === '_id') {
+    if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) {
+      throw new Error('Invalid cursor id');
+    }
+    return new mongoose.Types.ObjectId(value);
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$date' && !isNaN(Date.parse(value.$date))) {
+      return new Date(value.$date);
+    }
+    throw new Error('Invalid cursor value');
+  }
+  if (['string', 'number', 'boolean'].includes(typeof value)) return value;
+  throw new Error('Invalid cursor value');
+};
+
+/**
+ * Builds the cursor pointing just after the given document
+ * @param {Object|null} doc - Last document of the current page, null to point before the first one
+ * @param {Object} sort - Mongo sort object ending with `_id`
+ * @param {number|null} offset - Number of results listed up to and including this page
+ * @returns {string} Opaque cursor token
+ */
+const encodeCursor = (doc, sort, offset = null) => {
+  const payload = {
+    s: getSortSignature(sort),
+    v: doc ? Object.keys(sort).map(field => serializeValue(getFieldValue(doc, field))) : [],
+    ...(offset === null ? {} : { o: offset })
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor token for the given sort
+ * @param {string} cursor - Token previously returned as `nextCursor`
+ * @param {Object} sort - Mongo sort object the cursor must have been built with
+ * @returns {Object|null} { values, offset }: sort-key values (empty before the first item) and the
+ *   offset (null when the cursor has none), or null when the token is invalid or from another sort
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const fields = Object.keys(sort);
+
+    if (!payload || payload.s !== getSortSignature(sort) || !Array.isArray(payload.v) ||
+      (payload.v.length !== fields.length && payload.v.length !== 0) ||
+      (payload.o !== undefined && !(Number.isInteger(payload.o) && payload.o >= 0))) {
+      return null;
+    }
+
+    return {
+      values: payload.v.map((value, i) => deserializeValue(value, fields[i])),
+      offset: payload.o ?? null
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition matching documents that sort strictly after `value` on one field.
+// Nulls sort lowest in Mongo, so they come last in descending order.
+const buildAfterCondition = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (direction === 1) {
+    return { [field]: { $gt: value } };
+  }
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Builds the match stage selecting documents after the cursor position
+ * @param {Object} sort - Mongo sort object ending with `_id`
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} Mongo query
+ */
+const buildKeysetMatch = (sort, values) => {
+  if (!values.length) return {};
+
+  const entries = Object.entries(sort);
+
+  const branches = entries.map(([field, direction], i) => {
+    const after = buildAfterCondition(field, direction, values[i]);
+    if (!after) return null;
+
+    const equalities = entries.slice(0, i).map(([prevField], j) => ({ [prevField]: values[j] }));
+    return equalities.length ? { $and: [...equalities, after] } : after;
+  }).filter(Boolean);
+
+  return { $or: branches };
+};
+
+export { encodeCursor, decodeCursor, buildKeysetMatch };
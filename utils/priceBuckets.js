@@ -0,0 +1,58 @@
+/**
+ * Price histogram buckets for the filter response
+ *
+ * Buckets come either from fixed `priceBuckets` boundaries or, by default,
+ * from round boundaries spanning the filtered price range in about
+ * `priceBucketCount` steps.
+ */
+
+// Automatic bucket count by default and at most
+const DEFAULT_PRICE_BUCKET_COUNT = 5;
+const MAX_PRICE_BUCKETS = 20;
+
+/**
+ * Parses `priceBuckets` (fixed boundaries) or `priceBucketCount` (automatic ranges)
+ * @param {Object} params
+ * @param {string} params.priceBuckets - Comma separated ascending boundaries, e.g. 0,1000,2000
+ * @param {string} params.priceBucketCount - Number of automatic buckets
+ * @returns {Object|null} { boundaries } or { count }, null when invalid
+ */
+const parsePriceBucketParams = ({ priceBuckets, priceBucketCount }) => {
+  if (priceBuckets) {
+    const values = String(priceBuckets).split(',').map(value => parseFloat(value));
+    const valid = values.length < MAX_PRICE_BUCKETS &&
+      values.every((value, i) => Number.isFinite(value) && value >= 0 && (i === 0 || value > values[i - 1]));
+    if (!valid) return null;
+    // Buckets start at 0 so everything below the first boundary has one
+    const boundaries = values[0] > 0 ? [0, ...values] : values;
+    // A bucket needs a lower and an upper boundary
+    return boundaries.length >= 2 ? { boundaries } : null;
+  }
+
+  const count = priceBucketCount === undefined ? DEFAULT_PRICE_BUCKET_COUNT : parseInt(priceBucketCount);
+  return Number.isInteger(count) && count >= 1 && count <= MAX_PRICE_BUCKETS ? { count } : null;
+};
+
+/**
+ * Round boundaries (steps of 1, 2, 2.5 or 5 x 10^n) covering min..max in about `count` buckets
+ * @param {number} minPrice
+ * @param {number} maxPrice
+ * @param {number} count - Wanted number of buckets
+ * @returns {Array<number>} Ascending boundaries, at least two
+ */
+const getNicePriceBoundaries = (minPrice, maxPrice, count) => {
+  const rough = Math.max(maxPrice - minPrice, 1) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = Math.max([1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= rough) * magnitude, 1);
+
+  const boundaries = [];
+  let boundary = Math.floor(minPrice / step) * step;
+  while (boundary <= maxPrice) {
+    boundaries.push(boundary);
+    boundary += step;
+  }
+  boundaries.push(boundary);
+  return boundaries;
+};
+
+export { DEFAULT_PRICE_BUCKET_COUNT, MAX_PRICE_BUCKETS, parsePriceBucketParams, getNicePriceBoundaries };
@@ -0,0 +1,94 @@
+/**
+ * Sparse fieldsets for product listings
+ *
+ * `fields` accepts a comma separated list of field names and/or named presets,
+ * e.g. `fields=card` or `fields=card,description`. Nested paths are allowed
+ * under object fields (`attributes.color`, `variants.price`). The result is
+ * an inclusion projection; `_id` is always returned.
+ */
+
+// Top-level product fields that can be requested
+const PROJECTABLE_FIELDS = [
+  'productId', 'handle', 'shopifyId', 'name', 'description',
+  'price', 'compareAtPrice', 'presentmentPrices', 'maxDiscount',
+  'categories', 'categoryHandles', 'tags', 'structuredTags', 'brand', 'productGroup', 'vendor', 'productType',
+  'collections', 'collection_handle', 'attributes', 'variants', 'images', 'imageUrl', 'productUrl',
+  'isAvailable', 'totalInventory', 'inStock',
+  'featured', 'sales', 'sales7d', 'sales30d', 'sales90d', 'trendingScore', 'viewCount',
+  'createdAt', 'updatedAt'
+];
+
+// Fields whose sub-paths may be requested individually
+const NESTED_FIELDS = ['attributes', 'variants', 'images', 'structuredTags', 'presentmentPrices'];
+
+const FIELD_PRESETS = {
+  // Grid tiles
+  card: [
+    'handle', 'name', 'price', 'compareAtPrice', 'presentmentPrices', 'maxDiscount', 'imageUrl', 'brand', 'inStock'
+  ],
+  // Product pages and quick views
+  detail: [
+    'productId', 'handle', 'shopifyId', 'name', 'description', 'price', 'compareAtPrice', 'presentmentPrices', 'maxDiscount',
+    'categories', 'categoryHandles', 'tags', 'brand', 'vendor', 'productType', 'productGroup', 'collections', 'collection_handle',
+    'attributes', 'variants', 'images', 'imageUrl', 'productUrl', 'totalInventory', 'inStock', 'createdAt'
+  ]
+};
+
+const isProjectable = (field) => {
+  if (PROJECTABLE_FIELDS.includes(field)) return true;
+  const [root, ...rest] = field.split('.');
+  return NESTED_FIELDS.includes(root) && rest.length > 0 && rest.every(part => /^\w+$/.test(part));
+};
+
+/**
+ * Parses the `fields` request parameter into a projection
+ * @param {string|Array} fields - Field names and/or preset names
+ * @param {Object} options
+ * @param {Array<string>} options.include - Fields the caller needs regardless, e.g. sort keys
+ * @returns {{ projection: Object|null, key: string|null, invalid: Array<string> }}
+ *   Inclusion projection (null for full documents), a canonical cache key, and rejected names
+ */
+const parseFieldsParam = (fields, { include = [] } = {}) => {
+  if (!fields || (Array.isArray(fields) && !fields.length)) {
+    return { projection: null, key: null, invalid: [] };
+  }
+
+  const requested = (Array.isArray(fields) ? fields.join(',') : String(fields))
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+
+  const selected = new Set();
+  const invalid = [];
+
+  requested.forEach(name => {
+    // Own keys only, so names like `constructor` don't resolve to prototype members
+    if (Object.hasOwn(FIELD_PRESETS, name)) {
+      FIELD_PRESETS[name].forEach(field => selected.add(field));
+    } else if (isProjectable(name)) {
+      selected.add(name);
+    } else {
+      invalid.push(name);
+    }
+  });
+
+  if (invalid.length || !selected.size) {
+    return { projection: null, key: null, invalid };
+  }
+
+  // A parent path already covers its children, and Mongo rejects both together
+  const paths = Array.from(new Set([...selected, ...include]))
+    .filter(field => field !== '_id')
+    .sort();
+  const projected = paths.filter(field =>
+    !paths.some(other => other !== field && field.startsWith(`${other}.`))
+  );
+
+  return {
+    projection: Object.fromEntries(projected.map(field => [field, 1])),
+    key: projected.join(','),
+    invalid
+  };
+};
+
+export { PROJECTABLE_FIELDS, FIELD_PRESETS, parseFieldsParam };
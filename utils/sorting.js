@@ -0,0 +1,131 @@
+/**
+ * Sort parameter parsing shared by the product listing endpoints
+ *
+ * `sort` accepts either a named preset (`price_asc`, `best_seller`, ...) or a
+ * comma separated list of `field[:asc|desc]` keys, e.g. `price:asc,createdAt:desc`.
+ * Keys without an explicit direction use `order`. Only whitelisted fields can
+ * be sorted on, and `_id` is always appended as the final tie-breaker so
+ * equal values come back in a stable order across pages.
+ *
+ * With `outOfStockLast`, in-stock products come first and the requested sort
+ * applies within each group. `priceField` redirects price keys to a presentment
+ * currency price (see utils/currency.js), and `positionField` points `position`
+ * at a manual collection's product positions (see services/collectionOrderService.js);
+ * without one, position sorts are rejected.
+ */
+
+// Public sort keys mapped to document fields
+const SORTABLE_FIELDS = {
+  price: 'price',
+  compareAtPrice: 'compareAtPrice',
+  name: 'name',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  featured: 'featured',
+  sales: 'sales',
+  sales7d: 'sales7d',
+  sales30d: 'sales30d',
+  sales90d: 'sales90d',
+  trendingScore: 'trendingScore',
+  viewCount: 'viewCount',
+  stock: 'totalInventory',
+  totalInventory: 'totalInventory',
+  discount: 'maxDiscount',
+  // Resolved to the listed collection's manual positions
+  position: 'position',
+  // Computed by the best seller aggregation
+  totalSaleQty: 'totalSaleQty',
+  // Computed from hybrid search scores
+  relevance: 'relevance'
+};
+
+// Named presets; a `null` direction means "use the order parameter"
+const SORT_PRESETS = {
+  // Pre-aggregated sales counters, matching the best_seller* indexes
+  best_seller: [['sales', null], ['createdAt', null]],
+  best_selling: [['sales', null], ['createdAt', null]],
+  best_seller_7d: [['sales7d', null], ['createdAt', null]],
+  best_seller_30d: [['sales30d', null], ['createdAt', null]],
+  best_seller_90d: [['sales90d', null], ['createdAt', null]],
+  best_seller_all: [['sales', null], ['createdAt', null]],
+  trending: [['trendingScore', -1], ['createdAt', -1]],
+  relevance: [['relevance', null]],
+  manual: [['position', 1]],
+  featured: [['featured', null]],
+  alphabetical_asc: [['name', 1]],
+  alphabetical_desc: [['name', -1]],
+  name_asc: [['name', 1]],
+  name_desc: [['name', -1]],
+  price_asc: [['price', 1]],
+  price_desc: [['price', -1]],
+  date_old_to_new: [['createdAt', 1]],
+  date_new_to_old: [['createdAt', -1]],
+  oldest: [['createdAt', 1]],
+  newest: [['createdAt', -1]],
+  stock_desc: [['totalInventory', -1]],
+  stock_asc: [['totalInventory', 1]],
+  discount_desc: [['maxDiscount', -1]],
+  discount_asc: [['maxDiscount', 1]]
+};
+
+const parseDirection = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const direction = String(value).trim().toLowerCase();
+  if (direction === 'asc' || direction === '1') return 1;
+  if (direction === 'desc' || direction === '-1') return -1;
+  return undefined;
+};
+
+/**
+ * Parses `sort`/`order` request parameters into a Mongo sort object
+ * @param {string|Array} sort - Preset name or list of `field[:direction]` keys
+ * @param {string} order - Default direction (`asc`/`desc`) for keys without one
+ * @param {Object} options
+ * @param {string} options.defaultSort - Sort used when none is given
+ * @param {Array<string>} options.exclude - Whitelisted fields not available to this caller
+ * @param {boolean} options.outOfStockLast - Push out-of-stock products after in-stock ones
+ * @param {string} options.priceField - Field price keys sort on, `price` by default
+ * @param {string|null} options.positionField - Field position keys sort on, for a single manual collection
+ * @returns {{ sort: Object|null, invalid: Array<string> }} Sort object ending with `_id`, or the rejected keys
+ */
+const parseSortParam = (sort, order = 'desc', {
+  defaultSort = 'date_new_to_old', exclude = [], outOfStockLast = false, priceField = 'price',
+  positionField = null
+} = {}) => {
+  const defaultDirection = parseDirection(order) || -1;
+  const rawKeys = (Array.isArray(sort) ? sort.join(',') : String(sort || defaultSort))
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+
+  const sortOptions = outOfStockLast ? { inStock: -1 } : {};
+  const invalid = [];
+
+  rawKeys.forEach(rawKey => {
+    // Own keys only, so names like `constructor` don't resolve to prototype members
+    const preset = Object.hasOwn(SORT_PRESETS, rawKey) && SORT_PRESETS[rawKey];
+    const [name, rawDirection] = rawKey.split(':');
+    const keys = preset || [[Object.hasOwn(SORTABLE_FIELDS, name) && SORTABLE_FIELDS[name], parseDirection(rawDirection)]];
+
+    keys.forEach(([key, direction]) => {
+      if (!key || direction === undefined || exclude.includes(key) || (key === 'position' && !positionField)) {
+        invalid.push(rawKey);
+        return;
+      }
+      const field = { price: priceField, position: positionField }[key] || key;
+      // First occurrence of a field wins
+      if (!(field in sortOptions)) {
+        sortOptions[field] = direction || defaultDirection;
+      }
+    });
+  });
+
+  if (invalid.length) {
+    return { sort: null, invalid };
+  }
+
+  sortOptions._id = 1;
+  return { sort: sortOptions, invalid };
+};
+
+export { SORTABLE_FIELDS, SORT_PRESETS, parseSortParam };